@@ -77,6 +77,7 @@ class App extends Component {
       separation: { siblings: 2, nonSiblings: 2 },
       nodeSize: { x: 200, y: 200 },
       enableLegacyTransitions: false,
+      enableAnimations: false,
       transitionDuration: 500,
       renderCustomNodeElement: customNodeFnMapping['svg'].fn,
       styles: {
@@ -386,6 +387,19 @@ class App extends Component {
                 />
               </div>
 
+              <div className="prop-container">
+                <h4 className="prop">Enable Animations</h4>
+                <Switch
+                  name="enableAnimationsBtn"
+                  checked={this.state.enableAnimations}
+                  onChange={() =>
+                    this.setState(prevState => ({
+                      enableAnimations: !prevState.enableAnimations,
+                    }))
+                  }
+                />
+              </div>
+
               <div className="prop-container">
                 <h4 className="prop">Enable Legacy Transitions</h4>
                 <Switch
@@ -604,6 +618,7 @@ class App extends Component {
                 nodeSize={this.state.nodeSize}
                 separation={this.state.separation}
                 enableLegacyTransitions={this.state.enableLegacyTransitions}
+                enableAnimations={this.state.enableAnimations}
                 transitionDuration={this.state.transitionDuration}
                 depthFactor={this.state.depthFactor}
                 styles={this.state.styles}
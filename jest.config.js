@@ -11,6 +11,7 @@ module.exports = {
     "src/**/*.{js,jsx,ts,tsx}",
     "!src/index.js",
     "!src/**/*.test.{js,jsx,ts,tsx}",
+    "!src/**/*.bench.{js,jsx,ts,tsx}",
   ],
   coverageThreshold: {
     "global": {
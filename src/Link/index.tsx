@@ -1,5 +1,5 @@
 import React, { SyntheticEvent } from 'react';
-import { linkHorizontal, linkVertical } from 'd3-shape';
+import { linkHorizontal, linkVertical, linkRadial } from 'd3-shape';
 import { HierarchyPointNode } from 'd3-hierarchy';
 import { select } from 'd3-selection';
 import {
@@ -10,6 +10,7 @@ import {
   TreeNodeDatum,
   PathClassFunction,
 } from '../types/common';
+import { isHorizontal, projectPoint } from '../utils/projection';
 
 type LinkEventHandler = (
   source: HierarchyPointNode<TreeNodeDatum>,
@@ -68,17 +69,44 @@ export default class Link extends React.PureComponent<LinkProps, LinkState> {
     }
   }
 
+  /**
+   * Draws a circular arc around the center of a `radial` tree, at `radius` and ending at
+   * `targetAngle`, starting from the current point at `sourceAngle`.
+   */
+  drawRadialArc(sourceAngle: number, targetAngle: number, radius: number) {
+    const [x, y] = projectPoint({ x: targetAngle, y: radius }, 'radial');
+    const largeArcFlag = Math.abs(targetAngle - sourceAngle) > Math.PI ? 1 : 0;
+    const sweepFlag = targetAngle > sourceAngle ? 1 : 0;
+    return `A${radius},${radius} 0 ${largeArcFlag} ${sweepFlag} ${x},${y}`;
+  }
+
   drawStepPath(linkData: LinkProps['linkData'], orientation: LinkProps['orientation']) {
     const { source, target } = linkData;
     const deltaY = target.y - source.y;
-    return orientation === 'horizontal'
+    if (orientation === 'radial') {
+      const midRadius = source.y + deltaY / 2;
+      const [sourceX, sourceY] = projectPoint(source, orientation);
+      const [midX, midY] = projectPoint({ x: source.x, y: midRadius }, orientation);
+      const [targetX, targetY] = projectPoint(target, orientation);
+      return (
+        `M${sourceX},${sourceY} L${midX},${midY} ` +
+        `${this.drawRadialArc(source.x, target.x, midRadius)} L${targetX},${targetY}`
+      );
+    }
+    return isHorizontal(orientation)
       ? `M${source.y},${source.x} H${source.y + deltaY / 2} V${target.x} H${target.y}`
       : `M${source.x},${source.y} V${source.y + deltaY / 2} H${target.x} V${target.y}`;
   }
 
   drawDiagonalPath(linkData: LinkProps['linkData'], orientation: LinkProps['orientation']) {
     const { source, target } = linkData;
-    return orientation === 'horizontal'
+    if (orientation === 'radial') {
+      return linkRadial()({
+        source: [source.x, source.y],
+        target: [target.x, target.y],
+      });
+    }
+    return isHorizontal(orientation)
       ? linkHorizontal()({
           source: [source.y, source.x],
           target: [target.y, target.x],
@@ -91,20 +119,41 @@ export default class Link extends React.PureComponent<LinkProps, LinkState> {
 
   drawStraightPath(linkData: LinkProps['linkData'], orientation: LinkProps['orientation']) {
     const { source, target } = linkData;
-    return orientation === 'horizontal'
+    if (orientation === 'radial') {
+      const [sourceX, sourceY] = projectPoint(source, orientation);
+      const [targetX, targetY] = projectPoint(target, orientation);
+      return `M${sourceX},${sourceY}L${targetX},${targetY}`;
+    }
+    return isHorizontal(orientation)
       ? `M${source.y},${source.x}L${target.y},${target.x}`
       : `M${source.x},${source.y}L${target.x},${target.y}`;
   }
 
   drawElbowPath(linkData: LinkProps['linkData'], orientation: LinkProps['orientation']) {
-    return orientation === 'horizontal'
+    if (orientation === 'radial') {
+      const { source, target } = linkData;
+      const [sourceX, sourceY] = projectPoint(source, orientation);
+      const [targetX, targetY] = projectPoint(target, orientation);
+      return `M${sourceX},${sourceY}${this.drawRadialArc(
+        source.x,
+        target.x,
+        source.y
+      )}L${targetX},${targetY}`;
+    }
+    return isHorizontal(orientation)
       ? `M${linkData.source.y},${linkData.source.x}V${linkData.target.x}H${linkData.target.y}`
       : `M${linkData.source.x},${linkData.source.y}V${linkData.target.y}H${linkData.target.x}`;
   }
 
-  drawPath() {
-    const { linkData, orientation, pathFunc } = this.props;
-
+  /**
+   * Returns the `d` attribute of the link's path. Defaults to the link's own props, but can be
+   * called with any link, e.g. to draw links outside of SVG (see `Tree`'s `canvas` renderer).
+   */
+  drawPath(
+    linkData: LinkProps['linkData'] = this.props.linkData,
+    orientation: LinkProps['orientation'] = this.props.orientation,
+    pathFunc: LinkProps['pathFunc'] = this.props.pathFunc
+  ) {
     if (typeof pathFunc === 'function') {
       return pathFunc(linkData, orientation);
     }
@@ -156,8 +205,8 @@ export default class Link extends React.PureComponent<LinkProps, LinkState> {
         onClick={this.handleOnClick}
         onMouseOver={this.handleOnMouseOver}
         onMouseOut={this.handleOnMouseOut}
-        data-source-id={linkData.source.id}
-        data-target-id={linkData.target.id}
+        data-source-id={linkData.source.data.__rd3t.id}
+        data-target-id={linkData.target.data.__rd3t.id}
       />
     );
   }
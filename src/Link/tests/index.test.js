@@ -6,10 +6,12 @@ import Link from '../index.tsx';
 describe('<Link />', () => {
   const linkData = {
     source: {
+      data: { __rd3t: { id: '0' } },
       x: 123,
       y: 321,
     },
     target: {
+      data: { __rd3t: { id: '0-0' } },
       x: 456,
       y: 654,
     },
@@ -42,13 +44,13 @@ describe('<Link />', () => {
   afterEach(() => jest.clearAllMocks());
 
   it('binds IDs of source & target nodes to data-source-id/data-target-id', () => {
-    linkData.source.id = 1;
-    linkData.target.id = 2;
     const renderedComponent = shallow(<Link {...mockProps} />);
-    expect(renderedComponent.find('path').prop('data-source-id')).toBe(linkData.source.id);
-    expect(renderedComponent.find('path').prop('data-target-id')).toBe(linkData.target.id);
-    delete linkData.source.id;
-    delete linkData.target.id;
+    expect(renderedComponent.find('path').prop('data-source-id')).toBe(
+      linkData.source.data.__rd3t.id
+    );
+    expect(renderedComponent.find('path').prop('data-target-id')).toBe(
+      linkData.target.data.__rd3t.id
+    );
   });
 
   describe('handling classNames', () => {
@@ -125,6 +127,60 @@ describe('<Link />', () => {
     });
   });
 
+  it('draws reversed orientations like their non-reversed counterparts', () => {
+    ['drawElbowPath', 'drawDiagonalPath', 'drawStraightPath', 'drawStepPath'].forEach(method => {
+      expect(Link.prototype[method](linkData, 'horizontal-reverse')).toBe(
+        Link.prototype[method](linkData, 'horizontal')
+      );
+      expect(Link.prototype[method](linkData, 'vertical-reverse')).toBe(
+        Link.prototype[method](linkData, 'vertical')
+      );
+    });
+  });
+
+  describe('drawing radial paths', () => {
+    const radialLinkData = {
+      source: { ...linkData.source, x: 0, y: 100 },
+      target: { ...linkData.target, x: Math.PI / 2, y: 200 },
+    };
+    // Canvas coordinates of `source`, `target` & the corner points of the radial paths.
+    const [sx, sy] = [0, -100];
+    const [tx, ty] = [200, -200 * Math.cos(Math.PI / 2)];
+
+    it('returns a radial diagonal', () => {
+      const path = Link.prototype.drawDiagonalPath(radialLinkData, 'radial');
+      const coords = path.match(/-?[\d.e-]+/g).map(Number);
+      expect(path).toMatch(/^M.*C/);
+      [sx, sy].forEach((coord, i) => expect(coords[i]).toBeCloseTo(coord));
+      [tx, ty].forEach((coord, i) => expect(coords[coords.length - 2 + i]).toBeCloseTo(coord));
+    });
+
+    it('returns a radial straightPath', () => {
+      expect(Link.prototype.drawStraightPath(radialLinkData, 'radial')).toBe(
+        `M${sx},${sy}L${tx},${ty}`
+      );
+    });
+
+    it('returns a radial elbowPath, following the arc at the source radius', () => {
+      const [ax, ay] = [100, -100 * Math.cos(Math.PI / 2)];
+      expect(Link.prototype.drawElbowPath(radialLinkData, 'radial')).toBe(
+        `M${sx},${sy}A100,100 0 0 1 ${ax},${ay}L${tx},${ty}`
+      );
+    });
+
+    it('returns a radial stepPath, following the arc halfway between source & target', () => {
+      const [ax, ay] = [150, -150 * Math.cos(Math.PI / 2)];
+      expect(Link.prototype.drawStepPath(radialLinkData, 'radial')).toBe(
+        `M${sx},${sy} L0,-150 A150,150 0 0 1 ${ax},${ay} L${tx},${ty}`
+      );
+    });
+
+    it('draws arcs counter-clockwise if the target precedes the source', () => {
+      const reversed = { source: radialLinkData.target, target: radialLinkData.source };
+      expect(Link.prototype.drawElbowPath(reversed, 'radial')).toContain('A200,200 0 0 0 ');
+    });
+  });
+
   it('fades in once it has been mounted', () => {
     const fixture = 1;
     const renderedComponent = mount(<Link {...mockProps} />);
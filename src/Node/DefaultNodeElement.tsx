@@ -1,7 +1,16 @@
 import React from 'react';
-import { CustomNodeElementProps, SyntheticEventHandler } from '../types/common';
+import { HierarchyPointNode } from 'd3-hierarchy';
+import {
+  CustomNodeElementProps,
+  GetAttributesFunction,
+  GetLabelFunction,
+  Orientation,
+  SyntheticEventHandler,
+  TreeNodeDatum,
+} from '../types/common';
+import { isHorizontal } from '../utils/projection';
 
-const DEFAULT_NODE_CIRCLE_RADIUS = 15;
+export const DEFAULT_NODE_CIRCLE_RADIUS = 15;
 
 const textLayout = {
   title: {
@@ -14,7 +23,47 @@ const textLayout = {
   },
 };
 
+/**
+ * Places labels on the left of their node instead of the right.
+ */
+const mirroredTextLayout = {
+  title: { ...textLayout.title, textAnchor: 'end', x: -textLayout.title.x },
+  attribute: { ...textLayout.attribute, textAnchor: 'end', x: -textLayout.attribute.x },
+};
+
+/**
+ * Places labels of nodes growing leftwards (i.e. `horizontal-reverse` trees and the left side
+ * of `mindmap` trees) on the left of their node, facing away from its parent.
+ *
+ * Rotates the labels of `radial` trees to point away from the center, flipping the labels
+ * on the left half by 180° so their text stays upright. The rotation is also exposed in
+ * degrees as `rotation`, for drawing labels outside of SVG (e.g. onto a canvas).
+ */
+export const getLabelLayout = (
+  hierarchyPointNode: HierarchyPointNode<TreeNodeDatum>,
+  orientation: Orientation
+) => {
+  const { y } = hierarchyPointNode;
+  if (isHorizontal(orientation) && (y < 0 || (y === 0 && orientation === 'horizontal-reverse'))) {
+    return { rotation: 0, transform: undefined, ...mirroredTextLayout };
+  }
+  if (orientation !== 'radial' || hierarchyPointNode.y === 0) {
+    return { rotation: 0, transform: undefined, ...textLayout };
+  }
+  const angle = (hierarchyPointNode.x * 180) / Math.PI;
+  const isFlipped = Math.sin(hierarchyPointNode.x) < 0;
+  const rotation = isFlipped ? angle + 90 : angle - 90;
+  return {
+    rotation,
+    transform: `rotate(${rotation})`,
+    ...(isFlipped ? mirroredTextLayout : textLayout),
+  };
+};
+
 export interface DefaultNodeElementProps extends CustomNodeElementProps {
+  getLabel: GetLabelFunction;
+  getAttributes: GetAttributesFunction;
+  orientation: Orientation;
   onNodeClick: SyntheticEventHandler;
   onNodeMouseOver: SyntheticEventHandler;
   onNodeMouseOut: SyntheticEventHandler;
@@ -22,35 +71,43 @@ export interface DefaultNodeElementProps extends CustomNodeElementProps {
 
 const DefaultNodeElement: React.FunctionComponent<DefaultNodeElementProps> = ({
   nodeDatum,
+  hierarchyPointNode,
   toggleNode,
+  getLabel,
+  getAttributes,
+  orientation,
   onNodeClick,
   onNodeMouseOver,
   onNodeMouseOut,
-}) => (
-  <>
-    <circle
-      r={DEFAULT_NODE_CIRCLE_RADIUS}
-      onClick={evt => {
-        toggleNode();
-        onNodeClick(evt);
-      }}
-      onMouseOver={onNodeMouseOver}
-      onMouseOut={onNodeMouseOut}
-    ></circle>
-    <g className="rd3t-label">
-      <text className="rd3t-label__title" {...textLayout.title}>
-        {nodeDatum.name}
-      </text>
-      <text className="rd3t-label__attributes">
-        {nodeDatum.attributes &&
-          Object.entries(nodeDatum.attributes).map(([labelKey, labelValue], i) => (
-            <tspan key={`${labelKey}-${i}`} {...textLayout.attribute}>
-              {labelKey}: {typeof labelValue === 'boolean' ? labelValue.toString() : labelValue}
-            </tspan>
-          ))}
-      </text>
-    </g>
-  </>
-);
+}) => {
+  const attributes = getAttributes(nodeDatum);
+  const labelLayout = getLabelLayout(hierarchyPointNode, orientation);
+  return (
+    <>
+      <circle
+        r={DEFAULT_NODE_CIRCLE_RADIUS}
+        onClick={evt => {
+          toggleNode();
+          onNodeClick(evt);
+        }}
+        onMouseOver={onNodeMouseOver}
+        onMouseOut={onNodeMouseOut}
+      ></circle>
+      <g className="rd3t-label" transform={labelLayout.transform}>
+        <text className="rd3t-label__title" {...labelLayout.title}>
+          {getLabel(nodeDatum)}
+        </text>
+        <text className="rd3t-label__attributes">
+          {attributes &&
+            Object.entries(attributes).map(([labelKey, labelValue], i) => (
+              <tspan key={`${labelKey}-${i}`} {...labelLayout.attribute}>
+                {labelKey}: {typeof labelValue === 'boolean' ? labelValue.toString() : labelValue}
+              </tspan>
+            ))}
+        </text>
+      </g>
+    </>
+  );
+};
 
 export default DefaultNodeElement;
@@ -23,6 +23,7 @@ describe('<Node />', () => {
   const mockProps = {
     data,
     hierarchyPointNode,
+    domIdPrefix: '',
     nodeSize: {
       x: 123,
       y: 321,
@@ -48,6 +49,8 @@ describe('<Node />', () => {
       y: 888,
     },
     transitionDuration: 500,
+    getLabel: datum => datum.name,
+    getAttributes: datum => datum.attributes,
     onClick: () => {},
     onMouseOver: () => {},
     onMouseOut: () => {},
@@ -71,6 +74,15 @@ describe('<Node />', () => {
     ).toBe(data.__rd3t.id);
   });
 
+  it('prefixes the `id` attribute with `domIdPrefix` & exposes the plain id via `data-id`', () => {
+    const g = shallow(<Node {...mockProps} domIdPrefix="rd3t-svg-1-" />)
+      .find('g')
+      .first();
+
+    expect(g.prop('id')).toBe(`rd3t-svg-1-${data.__rd3t.id}`);
+    expect(g.prop('data-id')).toBe(data.__rd3t.id);
+  });
+
   it('applies correct base className if `data.children` is defined', () => {
     const leafNodeComponent = shallow(<Node {...mockProps} />);
     const nodeComponent = shallow(<Node {...mockProps} data={{ ...data, children: [] }} />);
@@ -89,6 +101,28 @@ describe('<Node />', () => {
     ).toBe('rd3t-node');
   });
 
+  it('applies loading & error classNames based on `data.__rd3t`', () => {
+    const loadingComponent = shallow(
+      <Node {...mockProps} data={{ ...data, hasChildren: true, __rd3t: { loading: true } }} />
+    );
+    const errorComponent = shallow(
+      <Node {...mockProps} data={{ ...data, __rd3t: { loadError: new Error() } }} />
+    );
+
+    expect(
+      loadingComponent
+        .find('g')
+        .first()
+        .prop('className')
+    ).toBe('rd3t-node rd3t-node--loading');
+    expect(
+      errorComponent
+        .find('g')
+        .first()
+        .prop('className')
+    ).toBe('rd3t-leaf-node rd3t-node--error');
+  });
+
   it('applies `nodeClassName` if defined', () => {
     const fixture = 'additionalNodeClass';
     const leafNodeComponent = shallow(<Node {...mockProps} nodeClassName={fixture} />);
@@ -120,6 +154,55 @@ describe('<Node />', () => {
     ).toBe(verticalTransform);
   });
 
+  it('projects its position onto polar coordinates if `orientation` is `radial`', () => {
+    const position = { x: Math.PI / 2, y: 100 };
+    const renderedComponent = mount(
+      <Node {...mockProps} orientation="radial" position={position} parent={null} />
+    );
+    expect(renderedComponent.instance().setTransform(position, null, 'radial')).toBe(
+      `translate(${100 * Math.sin(Math.PI / 2)},${-100 * Math.cos(Math.PI / 2)})`
+    );
+  });
+
+  it('anchors the default labels of `horizontal-reverse` nodes on their left', () => {
+    const title = shallow(
+      <Node
+        {...mockProps}
+        orientation="horizontal-reverse"
+        hierarchyPointNode={{ ...hierarchyPointNode, y: -200 }}
+      />
+    ).find('.rd3t-label__title');
+    expect(title.prop('textAnchor')).toBe('end');
+    expect(title.prop('x')).toBeLessThan(0);
+    expect(
+      shallow(<Node {...mockProps} orientation="vertical-reverse" />)
+        .find('.rd3t-label__title')
+        .prop('textAnchor')
+    ).toBe('start');
+  });
+
+  it('rotates the default labels of `radial` nodes to keep their text upright', () => {
+    const getLabelProps = angle => {
+      const renderedComponent = shallow(
+        <Node
+          {...mockProps}
+          orientation="radial"
+          hierarchyPointNode={{ ...hierarchyPointNode, x: angle, y: 100 }}
+        />
+      );
+      const label = renderedComponent.find('.rd3t-label');
+      return [label.prop('transform'), label.find('.rd3t-label__title').prop('textAnchor')];
+    };
+
+    expect(getLabelProps(Math.PI / 2)).toEqual(['rotate(0)', 'start']);
+    expect(getLabelProps((3 * Math.PI) / 2)).toEqual(['rotate(360)', 'end']);
+    expect(
+      shallow(<Node {...mockProps} />)
+        .find('.rd3t-label')
+        .prop('transform')
+    ).toBeUndefined();
+  });
+
   describe('Events', () => {
     it('handles onNodeToggle and passes its nodeId to handler', () => {
       const onNodeToggleSpy = jest.fn();
@@ -185,6 +268,33 @@ describe('<Node />', () => {
     );
   });
 
+  describe('Updates', () => {
+    it('re-renders if its datum changes, e.g. when it is collapsed', () => {
+      const renderedComponent = mount(<Node {...mockProps} />);
+      const nextData = { ...data, __rd3t: { ...data.__rd3t, collapsed: true } };
+      expect(
+        renderedComponent.instance().shouldComponentUpdate({ ...mockProps, data: nextData })
+      ).toBe(true);
+    });
+
+    it('re-renders if any other non-layout prop changes', () => {
+      const renderedComponent = mount(<Node {...mockProps} />);
+      const nextProps = { ...mockProps, renderCustomNodeElement: () => <circle /> };
+      expect(renderedComponent.instance().shouldComponentUpdate(nextProps)).toBe(true);
+    });
+
+    it('does not re-render if neither its datum nor its position change', () => {
+      const renderedComponent = mount(<Node {...mockProps} />);
+      const nextProps = {
+        ...mockProps,
+        position: { ...mockProps.position },
+        hierarchyPointNode: { ...hierarchyPointNode },
+        subscriptions: { ...mockProps.subscriptions },
+      };
+      expect(renderedComponent.instance().shouldComponentUpdate(nextProps)).toBe(false);
+    });
+  });
+
   describe('Update Positioning', () => {
     it('updates its position if `data.x` or `data.y` changes', () => {
       const updatedProps = {
@@ -1,8 +1,17 @@
 import React, { SyntheticEvent } from 'react';
 import { HierarchyPointNode } from 'd3-hierarchy';
 import { select } from 'd3-selection';
-
-import { Orientation, Point, TreeNodeDatum, RenderCustomNodeElementFn } from '../types/common';
+import { dequal as deepEqual } from 'dequal/lite';
+
+import {
+  GetAttributesFunction,
+  GetLabelFunction,
+  Orientation,
+  Point,
+  RenderCustomNodeElementFn,
+  TreeNodeDatum,
+} from '../types/common';
+import { projectPoint } from '../utils/projection';
 import DefaultNodeElement from './DefaultNodeElement';
 
 type NodeEventHandler = (
@@ -12,6 +21,8 @@ type NodeEventHandler = (
 
 type NodeProps = {
   data: TreeNodeDatum;
+  // Prepended to the node's id to form the `id` attribute of its element.
+  domIdPrefix: string;
   position: Point;
   hierarchyPointNode: HierarchyPointNode<TreeNodeDatum>;
   parent: HierarchyPointNode<TreeNodeDatum> | null;
@@ -24,6 +35,8 @@ type NodeProps = {
   enableLegacyTransitions: boolean;
   transitionDuration: number;
   renderCustomNodeElement: RenderCustomNodeElementFn;
+  getLabel: GetLabelFunction;
+  getAttributes: GetAttributesFunction;
   onNodeToggle: (nodeId: string) => void;
   onNodeClick: NodeEventHandler;
   onNodeMouseOver: NodeEventHandler;
@@ -31,6 +44,15 @@ type NodeProps = {
   subscriptions: object;
 };
 
+// Props which are re-created whenever the tree is laid out. Changes to these are picked up
+// by `shouldNodeTransform` instead.
+const LAYOUT_PROPS: (keyof NodeProps)[] = [
+  'position',
+  'hierarchyPointNode',
+  'parent',
+  'subscriptions',
+];
+
 type NodeState = {
   transform: string;
   initialStyle: { opacity: number };
@@ -60,11 +82,21 @@ export default class Node extends React.Component<NodeProps, NodeState> {
   }
 
   shouldComponentUpdate(nextProps: NodeProps) {
-    return this.shouldNodeTransform(this.props, nextProps);
+    return (
+      this.shouldNodeTransform(this.props, nextProps) ||
+      this.shouldNodeRerender(this.props, nextProps)
+    );
   }
 
+  // The tree updates its data immutably, so any change to the node's datum - including its
+  // `collapsed`, `loading` & `loadError` state - comes with a new `data` object.
+  shouldNodeRerender = (ownProps: NodeProps, nextProps: NodeProps) =>
+    (Object.keys(nextProps) as (keyof NodeProps)[]).some(
+      key => !LAYOUT_PROPS.includes(key) && nextProps[key] !== ownProps[key]
+    );
+
   shouldNodeTransform = (ownProps: NodeProps, nextProps: NodeProps) =>
-    nextProps.subscriptions !== ownProps.subscriptions ||
+    !deepEqual(nextProps.subscriptions, ownProps.subscriptions) ||
     nextProps.position.x !== ownProps.position.x ||
     nextProps.position.y !== ownProps.position.y ||
     nextProps.orientation !== ownProps.orientation;
@@ -77,15 +109,11 @@ export default class Node extends React.Component<NodeProps, NodeState> {
   ) {
     if (shouldTranslateToOrigin) {
       const hasParent = parent !== null && parent !== undefined;
-      const originX = hasParent ? parent.x : 0;
-      const originY = hasParent ? parent.y : 0;
-      return orientation === 'horizontal'
-        ? `translate(${originY},${originX})`
-        : `translate(${originX},${originY})`;
+      const [originX, originY] = hasParent ? projectPoint(parent, orientation) : [0, 0];
+      return `translate(${originX},${originY})`;
     }
-    return orientation === 'horizontal'
-      ? `translate(${position.y},${position.x})`
-      : `translate(${position.x},${position.y})`;
+    const [x, y] = projectPoint(position, orientation);
+    return `translate(${x},${y})`;
   }
 
   applyTransform(
@@ -118,7 +146,14 @@ export default class Node extends React.Component<NodeProps, NodeState> {
 
   // TODO: needs tests
   renderNodeElement = () => {
-    const { data, hierarchyPointNode, renderCustomNodeElement } = this.props;
+    const {
+      data,
+      hierarchyPointNode,
+      renderCustomNodeElement,
+      getLabel,
+      getAttributes,
+      orientation,
+    } = this.props;
     if (typeof renderCustomNodeElement === 'function') {
       return renderCustomNodeElement({
         hierarchyPointNode: hierarchyPointNode,
@@ -131,6 +166,9 @@ export default class Node extends React.Component<NodeProps, NodeState> {
       hierarchyPointNode: hierarchyPointNode,
       nodeDatum: data,
       toggleNode: this.handleNodeToggle,
+      getLabel,
+      getAttributes,
+      orientation,
       onNodeClick: this.handleOnClick,
       onNodeMouseOver: this.handleOnMouseOver,
       onNodeMouseOut: this.handleOnMouseOut,
@@ -157,16 +195,30 @@ export default class Node extends React.Component<NodeProps, NodeState> {
     this.applyTransform(transform, transitionDuration, 0, done);
   }
 
-  render() {
+  getClassNames() {
     const { data, nodeClassName } = this.props;
+    const classNames = [data.children || data.hasChildren ? 'rd3t-node' : 'rd3t-leaf-node'];
+    if (data.__rd3t.loading) {
+      classNames.push('rd3t-node--loading');
+    }
+    if (data.__rd3t.loadError) {
+      classNames.push('rd3t-node--error');
+    }
+    classNames.push(nodeClassName);
+    return classNames.join(' ').trim();
+  }
+
+  render() {
+    const { data, domIdPrefix } = this.props;
     return (
       <g
-        id={data.__rd3t.id}
+        id={`${domIdPrefix}${data.__rd3t.id}`}
+        data-id={data.__rd3t.id}
         ref={n => {
           this.nodeRef = n;
         }}
         style={this.state.initialStyle}
-        className={[data.children ? 'rd3t-node' : 'rd3t-leaf-node', nodeClassName].join(' ').trim()}
+        className={this.getClassNames()}
         transform={this.state.transform}
       >
         {this.renderNodeElement()}
@@ -0,0 +1,131 @@
+import { AnimationEasingFunction, AnimationEasingOption } from '../types/common';
+
+/**
+ * The displayed position of a node - in layout coordinates, i.e. before `projectPoint` is
+ * applied - and its opacity.
+ */
+export interface AnimatedNodeState {
+  x: number;
+  y: number;
+  opacity: number;
+}
+
+/**
+ * The displayed state of each node of the tree, by node id.
+ */
+export type AnimationFrame = Map<string, AnimatedNodeState>;
+
+// Cubic easing curves, matching the ones of `d3-ease`.
+export const EASINGS: Record<AnimationEasingOption, AnimationEasingFunction> = {
+  linear: t => t,
+  'ease-in': t => t * t * t,
+  'ease-out': t => --t * t * t + 1,
+  'ease-in-out': t => ((t *= 2) <= 1 ? t * t * t : (t -= 2) * t * t + 2) / 2,
+};
+
+/**
+ * Returns the state of every node in `to` at `t` (from `0` to `1`) of the way from its state
+ * in `from`. Nodes which are missing from `from` are placed at their state in `to`.
+ */
+export function interpolateFrame(
+  from: AnimationFrame,
+  to: AnimationFrame,
+  t: number
+): AnimationFrame {
+  const frame: AnimationFrame = new Map();
+  to.forEach((target, id) => {
+    const source = from.get(id) || target;
+    frame.set(id, {
+      x: source.x + (target.x - source.x) * t,
+      y: source.y + (target.y - source.y) * t,
+      opacity: source.opacity + (target.opacity - source.opacity) * t,
+    });
+  });
+  return frame;
+}
+
+/**
+ * Animates the nodes of a tree between two `AnimationFrame`s, one animation frame at a time.
+ * Starting a new animation while one is running continues from the currently displayed frame.
+ */
+export class LayoutAnimation {
+  /**
+   * The frame which is currently displayed.
+   */
+  frame: AnimationFrame = new Map();
+
+  private from: AnimationFrame = new Map();
+  private to: AnimationFrame = new Map();
+  private duration = 0;
+  private easing: AnimationEasingFunction = EASINGS.linear;
+  private startTime: number = null;
+  private frameId: number = null;
+  private onFrame: (frame: AnimationFrame) => void;
+  private onEnd: () => void;
+
+  constructor(onFrame: (frame: AnimationFrame) => void, onEnd: () => void) {
+    this.onFrame = onFrame;
+    this.onEnd = onEnd;
+  }
+
+  get isRunning() {
+    return this.frameId !== null;
+  }
+
+  /**
+   * Animates from `from` to `to` over `duration` milliseconds, stopping any running animation.
+   * The first frame is displayed right away, the animation's clock starts with the next one.
+   */
+  start(
+    from: AnimationFrame,
+    to: AnimationFrame,
+    duration: number,
+    easing: AnimationEasingFunction
+  ) {
+    this.stop();
+    this.from = from;
+    this.to = to;
+    this.duration = duration;
+    this.easing = easing;
+    this.startTime = null;
+    this.render(0);
+    this.frameId = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Stops any running animation and treats `frame` as displayed, without calling `onFrame`.
+   */
+  jumpTo(frame: AnimationFrame) {
+    this.stop();
+    this.frame = frame;
+  }
+
+  /**
+   * Stops the running animation (if any) at the currently displayed frame.
+   */
+  stop() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  private tick = (time: number) => {
+    if (this.startTime === null) {
+      this.startTime = time;
+    }
+    const t = this.duration > 0 ? Math.min((time - this.startTime) / this.duration, 1) : 1;
+    this.render(t);
+    if (t < 1) {
+      this.frameId = requestAnimationFrame(this.tick);
+    } else {
+      this.frameId = null;
+      this.onEnd();
+    }
+  };
+
+  private render(t: number) {
+    this.frame = interpolateFrame(this.from, this.to, this.easing(t));
+    this.onFrame(this.frame);
+  }
+}
@@ -0,0 +1,210 @@
+import { HierarchyPointNode } from 'd3-hierarchy';
+import { ZoomTransform } from 'd3-zoom';
+import {
+  GetAttributesFunction,
+  GetLabelFunction,
+  Orientation,
+  TreeLinkDatum,
+  TreeNodeDatum,
+} from '../types/common';
+import { DEFAULT_NODE_CIRCLE_RADIUS, getLabelLayout } from '../Node/DefaultNodeElement';
+import { projectPoint } from '../utils/projection';
+import { Bounds, SpatialIndex } from '../utils/spatialIndex';
+
+type PointNode = HierarchyPointNode<TreeNodeDatum>;
+
+// Canvas equivalents of the default node & link styles defined in `globalCss`.
+const STYLES = {
+  link: { stroke: '#000', strokeWidth: 1 },
+  node: { fill: '#777', stroke: '#000', strokeWidth: 2 },
+  leafNode: { fill: 'transparent', stroke: '#000', strokeWidth: 2 },
+  errorStroke: '#c00',
+  loadingDash: [4],
+  title: { stroke: '#000', font: '16px sans-serif', fontSize: 16 },
+  attributes: { stroke: '#777', font: '13px sans-serif', fontSize: 13 },
+};
+
+// Distance (in screen pixels) around a link's path within which it counts as hovered/clicked.
+const LINK_HIT_WIDTH = 8;
+
+/**
+ * Everything needed to draw a laid out tree onto a canvas, and to find the node or link
+ * under the pointer.
+ */
+export interface CanvasScene {
+  orientation: Orientation;
+  getLabel: GetLabelFunction;
+  getAttributes: GetAttributesFunction;
+  nodeIndex: SpatialIndex<PointNode>;
+  linkIndex: SpatialIndex<TreeLinkDatum>;
+  getLinkPath: (link: TreeLinkDatum) => Path2D;
+}
+
+/**
+ * Creates the scene for the nodes & links indexed by `nodeIndex` & `linkIndex`
+ * (see `indexLayout`).
+ *
+ * Link paths are generated via `drawLinkPath` once they are first needed, and reused after.
+ */
+export function createCanvasScene({
+  nodeIndex,
+  linkIndex,
+  orientation,
+  getLabel,
+  getAttributes,
+  drawLinkPath,
+}: {
+  nodeIndex: SpatialIndex<PointNode>;
+  linkIndex: SpatialIndex<TreeLinkDatum>;
+  orientation: Orientation;
+  getLabel: GetLabelFunction;
+  getAttributes: GetAttributesFunction;
+  drawLinkPath: (link: TreeLinkDatum) => string;
+}): CanvasScene {
+  const paths = new Map<TreeLinkDatum, Path2D>();
+  const getLinkPath = (link: TreeLinkDatum) => {
+    if (!paths.has(link)) {
+      paths.set(link, new Path2D(drawLinkPath(link)));
+    }
+    return paths.get(link);
+  };
+  return { orientation, getLabel, getAttributes, nodeIndex, linkIndex, getLinkPath };
+}
+
+/**
+ * Draws a node the way `DefaultNodeElement` renders it: a circle (filled if the node has
+ * children) with its label & attributes next to it.
+ */
+function drawNode(context: CanvasRenderingContext2D, node: PointNode, scene: CanvasScene) {
+  const { data } = node;
+  const [x, y] = projectPoint(node, scene.orientation);
+  const style = data.children || data.hasChildren ? STYLES.node : STYLES.leafNode;
+  const labelLayout = getLabelLayout(node, scene.orientation);
+  const attributes = scene.getAttributes(data);
+
+  context.save();
+  context.translate(x, y);
+  context.beginPath();
+  context.arc(0, 0, DEFAULT_NODE_CIRCLE_RADIUS, 0, 2 * Math.PI);
+  context.fillStyle = style.fill;
+  context.fill();
+  context.setLineDash(data.__rd3t.loading ? STYLES.loadingDash : []);
+  context.strokeStyle = data.__rd3t.loadError ? STYLES.errorStroke : style.stroke;
+  context.lineWidth = style.strokeWidth;
+  context.stroke();
+  context.setLineDash([]);
+
+  // Labels inherit the node's fill, but are stroked with a thin line.
+  context.rotate((labelLayout.rotation * Math.PI) / 180);
+  context.lineWidth = 1;
+  context.textAlign = labelLayout.title.textAnchor === 'end' ? 'right' : 'left';
+  context.font = STYLES.title.font;
+  context.strokeStyle = STYLES.title.stroke;
+  context.fillText(`${scene.getLabel(data)}`, labelLayout.title.x, 0);
+  context.strokeText(`${scene.getLabel(data)}`, labelLayout.title.x, 0);
+  if (attributes) {
+    context.font = STYLES.attributes.font;
+    context.strokeStyle = STYLES.attributes.stroke;
+    Object.entries(attributes).forEach(([labelKey, labelValue], i) => {
+      const text = `${labelKey}: ${labelValue}`;
+      const dy = (i + 1) * 1.2 * STYLES.attributes.fontSize;
+      context.fillText(text, labelLayout.attribute.x, dy);
+      context.strokeText(text, labelLayout.attribute.x, dy);
+    });
+  }
+  context.restore();
+}
+
+/**
+ * Returns the rectangle of the (unzoomed) tree which is visible through `canvas`.
+ */
+function getVisibleBounds(canvas: HTMLCanvasElement, transform: ZoomTransform): Bounds {
+  const { width, height } = canvas.getBoundingClientRect();
+  const [minX, minY] = transform.invert([0, 0]);
+  const [maxX, maxY] = transform.invert([width, height]);
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Draws all links & nodes of `scene` inside the visible area onto `canvas`, panned & zoomed
+ * according to `transform`. The canvas' pixel size is matched to its CSS size first.
+ */
+export function drawCanvas(
+  canvas: HTMLCanvasElement,
+  scene: CanvasScene,
+  transform: ZoomTransform
+) {
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return;
+  }
+  const { width, height } = canvas.getBoundingClientRect();
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.setTransform(
+    ratio * transform.k,
+    0,
+    0,
+    ratio * transform.k,
+    ratio * transform.x,
+    ratio * transform.y
+  );
+
+  const visible = getVisibleBounds(canvas, transform);
+  context.strokeStyle = STYLES.link.stroke;
+  context.lineWidth = STYLES.link.strokeWidth;
+  scene.linkIndex.search(visible).forEach(link => context.stroke(scene.getLinkPath(link)));
+  scene.nodeIndex.search(visible).forEach(node => drawNode(context, node, scene));
+}
+
+/**
+ * Returns the node whose circle contains `point` (in unzoomed tree coordinates), preferring
+ * nodes drawn later, i.e. on top.
+ */
+export function findNodeAt(scene: CanvasScene, [x, y]: [number, number]) {
+  const r = DEFAULT_NODE_CIRCLE_RADIUS;
+  const candidates = scene.nodeIndex.search({ minX: x - r, minY: y - r, maxX: x + r, maxY: y + r });
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const [nodeX, nodeY] = projectPoint(candidates[i], scene.orientation);
+    if ((nodeX - x) ** 2 + (nodeY - y) ** 2 <= r ** 2) {
+      return candidates[i];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns the link whose path passes within `LINK_HIT_WIDTH / 2` screen pixels of `point`
+ * (in unzoomed tree coordinates) at zoom level `scale`.
+ */
+export function findLinkAt(
+  canvas: HTMLCanvasElement,
+  scene: CanvasScene,
+  [x, y]: [number, number],
+  scale: number
+) {
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return undefined;
+  }
+  const tolerance = LINK_HIT_WIDTH / 2 / scale;
+  const candidates = scene.linkIndex.search({
+    minX: x - tolerance,
+    minY: y - tolerance,
+    maxX: x + tolerance,
+    maxY: y + tolerance,
+  });
+  context.save();
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.lineWidth = 2 * tolerance;
+  const link = candidates
+    .reverse()
+    .find(candidate => context.isPointInStroke(scene.getLinkPath(candidate), x, y));
+  context.restore();
+  return link;
+}
@@ -1,7 +1,7 @@
 import React, { SyntheticEvent } from 'react';
-import { tree as d3tree, hierarchy, HierarchyPointNode } from 'd3-hierarchy';
+import { hierarchy, HierarchyPointNode, HierarchyPointLink } from 'd3-hierarchy';
 import { select, event } from 'd3-selection';
-import { zoom as d3zoom, zoomIdentity } from 'd3-zoom';
+import { zoom as d3zoom, zoomIdentity, zoomTransform, ZoomBehavior, ZoomTransform } from 'd3-zoom';
 import { dequal as deepEqual } from 'dequal/lite';
 import clone from 'clone';
 import { v4 as uuidv4 } from 'uuid';
@@ -9,16 +9,73 @@ import { v4 as uuidv4 } from 'uuid';
 import TransitionGroupWrapper from './TransitionGroupWrapper';
 import Node from '../Node';
 import Link from '../Link';
-import { TreeNodeDatum, Point, RawNodeDatum } from '../types/common';
-import { TreeLinkEventCallback, TreeNodeEventCallback, TreeProps } from './types';
+import { PathFunction, TreeNodeDatum, TreeLinkDatum, Point, RawNodeDatum } from '../types/common';
+import {
+  LayoutWorkerRequest,
+  LayoutWorkerResponse,
+  SerializedTreeLayout,
+  TreeCenterOptions,
+  TreeLinkEventCallback,
+  TreeNodeEventCallback,
+  TreeProps,
+  TreeZoomOptions,
+} from './types';
+import { projectPoint } from '../utils/projection';
+import { Bounds, contains, indexLayout } from '../utils/spatialIndex';
+import { CanvasScene, createCanvasScene, drawCanvas, findLinkAt, findNodeAt } from './canvas';
+import { AnimatedNodeState, AnimationFrame, EASINGS, LayoutAnimation } from './animation';
+import { TreeLayout, computeLayout } from './layout';
 import globalCss from '../globalCss';
 
+// Minimal typing for `ResizeObserver`, which is not part of TypeScript's DOM typings yet.
+type ResizeObserverEntry = { contentRect: { width: number; height: number } };
+interface ResizeObserver {
+  observe(target: Element): void;
+  disconnect(): void;
+}
+declare const ResizeObserver: {
+  new (callback: (entries: ResizeObserverEntry[]) => void): ResizeObserver;
+};
+
+// Props determining the tree's layout: the layout is only recomputed if one of these (or `data`)
+// changes, and they are sent to the layout worker along with `data`.
+const LAYOUT_PROPS: (keyof TreeProps)[] = [
+  'initialDepth',
+  'orientation',
+  'nodeSize',
+  'separation',
+  'depthFactor',
+  'getDepthOffset',
+  'forestGap',
+  'forestVirtualRoot',
+  'startAngle',
+  'endAngle',
+  'innerRadius',
+  'layout',
+  'compact',
+  'compactColumns',
+  'getNodeSize',
+  'sortChildren',
+  'getSide',
+];
+
+// Legacy transitions are superseded by `enableAnimations`.
+const hasLegacyTransitions = (props: TreeProps) =>
+  props.enableLegacyTransitions && !props.enableAnimations;
+
+// Maps each node's id to its path, i.e. the indices leading to it from the root of `data`.
+type NodePaths = Map<string, number[]>;
+
 type TreeState = {
   dataRef: TreeProps['data'];
+  accessorsRef: Pick<TreeProps, 'getNodeId' | 'getChildren'>;
+  collapsedIdsRef: TreeProps['collapsedIds'];
   data: TreeNodeDatum[];
+  nodePaths: NodePaths;
   d3: { translate: Point; scale: number };
   isTransitioning: boolean;
   isInitialRenderForDataset: boolean;
+  viewport: Bounds | null;
 };
 
 class Tree extends React.Component<TreeProps, TreeState> {
@@ -32,10 +89,14 @@ class Tree extends React.Component<TreeProps, TreeState> {
     onUpdate: undefined,
     orientation: 'horizontal',
     translate: { x: 0, y: 0 },
+    fitOnMount: false,
+    fitOnResize: false,
+    centerRoot: false,
     pathFunc: 'diagonal',
     pathClassFunc: undefined,
     transitionDuration: 500,
     depthFactor: undefined,
+    getDepthOffset: undefined,
     collapsible: true,
     initialDepth: undefined,
     zoomable: true,
@@ -50,32 +111,146 @@ class Tree extends React.Component<TreeProps, TreeState> {
     leafNodeClassName: '',
     renderCustomNodeElement: undefined,
     enableLegacyTransitions: false,
+    enableAnimations: false,
+    animationEasing: 'ease-in-out',
+    collapsedIds: undefined,
+    onCollapsedChange: undefined,
+    getNodeId: (datum, path) => path.join('-'),
+    getChildren: datum => datum.children,
+    getLabel: datum => datum.name,
+    getAttributes: datum => datum.attributes,
+    loadChildren: undefined,
+    onLoadError: undefined,
+    forestGap: 0,
+    forestVirtualRoot: false,
+    startAngle: 0,
+    endAngle: 2 * Math.PI,
+    innerRadius: 0,
+    layout: 'tidy',
+    getNodeSize: undefined,
+    getSide: undefined,
+    sortChildren: undefined,
+    compact: false,
+    compactColumns: 2,
+    viewportCulling: false,
+    viewportCullingMargin: 200,
+    renderer: 'svg',
+    layoutInWorker: false,
+    createLayoutWorker: undefined,
+    onLayoutComplete: undefined,
   };
 
   state: TreeState = {
     dataRef: this.props.data,
-    data: Tree.assignInternalProperties(clone(this.props.data)),
+    accessorsRef: { getNodeId: this.props.getNodeId, getChildren: this.props.getChildren },
+    collapsedIdsRef: undefined,
+    ...Tree.createDataState(this.props.data, this.props),
     d3: Tree.calculateD3Geometry(this.props),
     isTransitioning: false,
     isInitialRenderForDataset: true,
+    viewport: null,
   };
 
   private internalState = {
     targetNode: null,
     isTransitioning: false,
+    isUnmounted: false,
+  };
+
+  private layoutState = {
+    // The layout currently on screen.
+    current: null as TreeLayout | null,
+    // The `data`, `isInitialRenderForDataset` & props the current layout was computed from.
+    inputs: null as {
+      data: TreeNodeDatum[];
+      isInitialRenderForDataset: boolean;
+      props: TreeProps;
+    } | null,
+    // Layout props for which a warning about being re-created on every render was logged.
+    warnedProps: new Set<keyof TreeProps>(),
+    // Timing of the latest layout, to be reported via `onLayoutComplete` once it was rendered.
+    completed: null as { duration: number; nodeCount: number; inWorker: boolean } | null,
+    worker: null as Worker | null,
+    workerFailed: false,
+    requestId: 0,
+    request: null as { data: TreeNodeDatum[]; props: Partial<TreeProps>; startTime: number } | null,
+  };
+
+  private animation = new LayoutAnimation(
+    frame => this.applyAnimationFrame(frame),
+    () => this.handleAnimationEnd()
+  );
+
+  private animationState = {
+    // The layout which was last animated to.
+    layout: null as TreeLayout | null,
+    // Nodes & links of previous layouts which are animated out of the tree.
+    exiting: { nodes: [], links: [] } as Pick<TreeLayout, 'nodes' | 'links'>,
+    // The exiting nodes & links computed for a layout which has not been animated to yet.
+    pending: null as { layout: TreeLayout; exiting: Pick<TreeLayout, 'nodes' | 'links'> } | null,
+    // The animated links (including exiting ones) & their path functions, by target node id.
+    links: new Map<string, { link: TreeLinkDatum; pathFunc: TreeProps['pathFunc'] }>(),
   };
 
+  private zoomBehavior: ZoomBehavior<SVGSVGElement, unknown> = null;
+
+  private resizeObserver: ResizeObserver = null;
+  private canvasRef: HTMLCanvasElement = null;
+  private canvasScene: CanvasScene = null;
+  // The inputs `canvasScene` was created from, see `getCanvasScene`.
+  private canvasSceneInputs: unknown[] = [];
+  // Spatial indexes of the nodes & links of the current layout, see `getLayoutIndexes`.
+  private layoutIndexes: ReturnType<typeof indexLayout> & { layout: TreeLayout } = null;
+  private hoveredCanvasTarget: {
+    node?: HierarchyPointNode<TreeNodeDatum>;
+    link?: TreeLinkDatum;
+  } = {};
+  private canvasSize = { width: 0, height: 0 };
+
   svgInstanceRef = `rd3t-svg-${uuidv4()}`;
   gInstanceRef = `rd3t-g-${uuidv4()}`;
 
   static getDerivedStateFromProps(nextProps: TreeProps, prevState: TreeState) {
     let derivedState: Partial<TreeState> = null;
-    // Clone new data & assign internal properties if `data` object reference changed.
-    if (nextProps.data !== prevState.dataRef) {
+    const isControlled = nextProps.collapsedIds !== undefined;
+    const { accessorsRef } = prevState;
+    // Clone new data & assign internal properties if `data` object reference or any of the
+    // accessors it is read with changed.
+    if (
+      nextProps.data !== prevState.dataRef ||
+      nextProps.getNodeId !== accessorsRef.getNodeId ||
+      nextProps.getChildren !== accessorsRef.getChildren
+    ) {
+      const { data, nodePaths } = Tree.createDataState(nextProps.data, nextProps);
+      // Positional default ids do not identify the same records across datasets, so collapse
+      // state is only carried over if ids are derived via a custom `getNodeId`.
+      const isNewDataset = nextProps.getNodeId === Tree.defaultProps.getNodeId;
+      if (!isControlled && !isNewDataset) {
+        // Carry collapse state over from nodes that were already part of the previous dataset.
+        Tree.restoreCollapsedState(data, prevState.data, nextProps.initialDepth);
+      }
       derivedState = {
         dataRef: nextProps.data,
-        data: Tree.assignInternalProperties(clone(nextProps.data)),
-        isInitialRenderForDataset: true,
+        accessorsRef: { getNodeId: nextProps.getNodeId, getChildren: nextProps.getChildren },
+        data,
+        nodePaths,
+        isInitialRenderForDataset: !isControlled && isNewDataset,
+      };
+    }
+    // Apply `collapsedIds` if collapse state is controlled and either it or `data` changed.
+    if (isControlled && (derivedState || nextProps.collapsedIds !== prevState.collapsedIdsRef)) {
+      let { data } = prevState;
+      if (derivedState) {
+        data = derivedState.data;
+        Tree.applyCollapsedIds(data, nextProps.collapsedIds);
+      } else {
+        data = Tree.copyWithCollapsedIds(data, nextProps.collapsedIds);
+      }
+      derivedState = {
+        ...derivedState,
+        data,
+        collapsedIdsRef: nextProps.collapsedIds,
+        isInitialRenderForDataset: false,
       };
     }
     const d3 = Tree.calculateD3Geometry(nextProps);
@@ -88,11 +263,37 @@ class Tree extends React.Component<TreeProps, TreeState> {
 
   componentDidMount() {
     this.bindZoomListener(this.props);
+    this.observeCanvasSize();
+    if (this.props.fitOnMount) {
+      this.fitToView();
+    } else if (this.props.centerRoot) {
+      this.centerOnNode(this.state.data[0].__rd3t.id);
+    }
+    this.animateLayout();
+    this.drawCanvas();
+    this.requestWorkerLayout();
+    this.reportLayoutComplete();
     this.setState({ isInitialRenderForDataset: false });
   }
 
+  componentWillUnmount() {
+    this.internalState.isUnmounted = true;
+    if (this.layoutState.worker) {
+      this.layoutState.worker.terminate();
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    this.animation.stop();
+  }
+
   componentDidUpdate(prevProps: TreeProps) {
-    if (this.props.data !== prevProps.data) {
+    this.warnAboutRecreatedFunctions(
+      prevProps,
+      ['getNodeId', 'getChildren'],
+      'nodes to be rebuilt'
+    );
+    if (this.state.isInitialRenderForDataset) {
       // If last `render` was due to change in dataset -> mark the initial render as done.
       this.setState({ isInitialRenderForDataset: false });
     }
@@ -102,11 +303,13 @@ class Tree extends React.Component<TreeProps, TreeState> {
       !deepEqual(this.props.scaleExtent, prevProps.scaleExtent) ||
       this.props.zoomable !== prevProps.zoomable ||
       this.props.zoom !== prevProps.zoom ||
-      this.props.enableLegacyTransitions !== prevProps.enableLegacyTransitions
+      hasLegacyTransitions(this.props) !== hasLegacyTransitions(prevProps)
     ) {
       // If zoom-specific props change -> rebind listener with new values.
       // Or: rebind zoom listeners to new DOM nodes in case legacy transitions were enabled/disabled.
       this.bindZoomListener(this.props);
+    } else if (this.props.viewportCulling && !prevProps.viewportCulling) {
+      this.updateViewport(undefined, true);
     }
 
     if (typeof this.props.onUpdate === 'function') {
@@ -118,6 +321,10 @@ class Tree extends React.Component<TreeProps, TreeState> {
     }
     // Reset the last target node after we've flushed it to `onUpdate`.
     this.internalState.targetNode = null;
+    this.animateLayout();
+    this.drawCanvas();
+    this.requestWorkerLayout();
+    this.reportLayoutComplete();
   }
 
   /**
@@ -139,18 +346,21 @@ class Tree extends React.Component<TreeProps, TreeState> {
    */
   bindZoomListener(props: TreeProps) {
     const { zoomable, scaleExtent, translate, zoom, onUpdate } = props;
-    const svg = select(`.${this.svgInstanceRef}`);
+    const svg = select<SVGSVGElement, unknown>(`.${this.svgInstanceRef}`);
     const g = select(`.${this.gInstanceRef}`);
 
     // Sets initial offset, so that first pan and zoom does not jump back to default [0,0] coords.
     // @ts-ignore
     svg.call(d3zoom().transform, zoomIdentity.translate(translate.x, translate.y).scale(zoom));
+    this.zoomBehavior = d3zoom<SVGSVGElement, unknown>();
     svg.call(
-      d3zoom()
+      this.zoomBehavior
         .scaleExtent(zoomable ? [scaleExtent.min, scaleExtent.max] : [zoom, zoom])
         // TODO: break this out into a separate zoom handler fn, rather than inlining it.
         .on('zoom', () => {
           g.attr('transform', event.transform);
+          this.updateViewport(event.transform);
+          this.drawCanvas(event.transform);
           if (typeof onUpdate === 'function') {
             // This callback is magically called not only on "zoom", but on "drag", as well,
             // even though event.type == "zoom".
@@ -169,64 +379,229 @@ class Tree extends React.Component<TreeProps, TreeState> {
           }
         })
     );
+    this.updateViewport(undefined, true);
   }
 
   /**
    * Assigns internal properties that are required for tree
    * manipulation to each node in the `data` set and returns a new `data` array.
    *
+   * Each node's children (as returned by `getChildren`) are exposed via its `children` key.
+   *
    * @static
    */
-  static assignInternalProperties(data: RawNodeDatum[], currentDepth: number = 0): TreeNodeDatum[] {
+  static assignInternalProperties(
+    data: TreeProps['data'],
+    currentDepth: number = 0,
+    accessors: Pick<TreeProps, 'getNodeId' | 'getChildren'> = Tree.defaultProps,
+    parentPath: number[] = []
+  ): TreeNodeDatum[] {
     // Wrap the root node into an array for recursive transformations if it wasn't in one already.
-    const d = Array.isArray(data) ? data : [data];
-    return d.map(n => {
+    const d = (Array.isArray(data) ? data : [data]) as RawNodeDatum[];
+    const { getNodeId, getChildren } = accessors;
+    return d.map((n, i) => {
       const nodeDatum = n as TreeNodeDatum;
+      const path = [...parentPath, i];
       nodeDatum.__rd3t = { id: null, depth: null, collapsed: false };
-      nodeDatum.__rd3t.id = uuidv4();
+      // Ids are derived deterministically, so that they remain stable across data updates.
+      nodeDatum.__rd3t.id = String(getNodeId(n, path));
       // D3@v5 compat: manually assign `depth` to node.data so we don't have
       // to hold full node+link sets in state.
       // TODO: avoid this extra step by checking D3's node.depth directly.
       nodeDatum.__rd3t.depth = currentDepth;
       // If there are children, recursively assign properties to them too.
-      if (nodeDatum.children && nodeDatum.children.length > 0) {
-        nodeDatum.children = Tree.assignInternalProperties(nodeDatum.children, currentDepth + 1);
+      const children = getChildren(n);
+      if (children && children.length > 0) {
+        nodeDatum.children = Tree.assignInternalProperties(
+          children,
+          currentDepth + 1,
+          accessors,
+          path
+        );
+      } else {
+        // Never keep a `children` key of the original object which `getChildren` did not return.
+        nodeDatum.children = children ? [] : undefined;
       }
       return nodeDatum;
     });
   }
 
   /**
-   * Recursively walks the nested `nodeSet` until a node matching `nodeId` is found.
+   * Clones `data`, assigns internal properties to its nodes and indexes their paths by id.
+   *
+   * @static
    */
-  findNodesById(nodeId: string, nodeSet: TreeNodeDatum[], hits: TreeNodeDatum[]) {
-    if (hits.length > 0) {
-      return hits;
-    }
-    hits = hits.concat(nodeSet.filter(node => node.__rd3t.id === nodeId));
-    nodeSet.forEach(node => {
-      if (node.children && node.children.length > 0) {
-        hits = this.findNodesById(nodeId, node.children, hits);
+  static createDataState(data: TreeProps['data'], props: TreeProps) {
+    const nodes = Tree.assignInternalProperties(clone(data), 0, props);
+    return { data: nodes, nodePaths: Tree.indexNodePaths(nodes) };
+  }
+
+  /**
+   * Adds the path of every node in the nested `nodeSet`, whose parent sits at `parentPath`,
+   * to `nodePaths`. Should several nodes share an `id`, the first one encountered is kept.
+   *
+   * @static
+   */
+  static indexNodePaths(
+    nodeSet: TreeNodeDatum[],
+    parentPath: number[] = [],
+    nodePaths: NodePaths = new Map()
+  ) {
+    nodeSet.forEach((node, i) => {
+      const path = [...parentPath, i];
+      !nodePaths.has(node.__rd3t.id) && nodePaths.set(node.__rd3t.id, path);
+      node.children && Tree.indexNodePaths(node.children, path, nodePaths);
+    });
+    return nodePaths;
+  }
+
+  /**
+   * Returns the node at `path` in `data`.
+   *
+   * @static
+   */
+  static getNodeAtPath(data: TreeNodeDatum[], path: number[]) {
+    return path.slice(1).reduce((node, i) => node.children[i], data[path[0]]);
+  }
+
+  /**
+   * Replaces the nodes along `path` in `draft` - a copy of the `data` array - with copies
+   * (including their `__rd3t` properties & `children` arrays), leaving all other nodes shared
+   * with `data`. Returns the copied nodes, from the root down to the node at `path`.
+   *
+   * Nodes & arrays which are part of `copied` are already copies and are updated in place,
+   * so that several paths can be copied into the same `draft`.
+   *
+   * @static
+   */
+  static copyNodePath(draft: TreeNodeDatum[], path: number[], copied: Set<object>) {
+    const nodes: TreeNodeDatum[] = [];
+    let nodeSet = draft;
+    path.forEach((i, depth) => {
+      if (depth > 0) {
+        const parent = nodes[depth - 1];
+        if (!copied.has(parent.children)) {
+          parent.children = [...parent.children];
+          copied.add(parent.children);
+        }
+        nodeSet = parent.children;
       }
+      if (!copied.has(nodeSet[i])) {
+        nodeSet[i] = { ...nodeSet[i], __rd3t: { ...nodeSet[i].__rd3t } };
+        copied.add(nodeSet[i]);
+      }
+      nodes.push(nodeSet[i]);
     });
-    return hits;
+    return nodes;
   }
 
   /**
-   * Recursively walks the nested `nodeSet` until all nodes at `depth` have been found.
+   * Returns a copy of `nodeDatum` and all of its descendants, including their `__rd3t` properties.
    *
-   * @param {number} depth Target depth for which nodes should be returned
-   * @param {array} nodeSet Array of nested `node` objects
-   * @param {array} accumulator Accumulator for matches, passed between recursive calls
+   * @static
    */
-  findNodesAtDepth(depth: number, nodeSet: TreeNodeDatum[], accumulator: TreeNodeDatum[]) {
-    accumulator = accumulator.concat(nodeSet.filter(node => node.__rd3t.depth === depth));
-    nodeSet.forEach(node => {
-      if (node.children && node.children.length > 0) {
-        accumulator = this.findNodesAtDepth(depth, node.children, accumulator);
+  static copySubtree(nodeDatum: TreeNodeDatum): TreeNodeDatum {
+    return {
+      ...nodeDatum,
+      __rd3t: { ...nodeDatum.__rd3t },
+      ...(nodeDatum.children && { children: nodeDatum.children.map(Tree.copySubtree) }),
+    };
+  }
+
+  /**
+   * Whether `nodeDatum` and all of its descendants are collapsed.
+   *
+   * @static
+   */
+  static isSubtreeCollapsed(nodeDatum: TreeNodeDatum): boolean {
+    return (
+      nodeDatum.__rd3t.collapsed &&
+      (!nodeDatum.children || nodeDatum.children.every(Tree.isSubtreeCollapsed))
+    );
+  }
+
+  /**
+   * Carries the `collapsed` state of every node in `prevData` over to the node with the same `id`
+   * in `data`. Nodes which did not exist in `prevData` are collapsed according to `initialDepth`.
+   *
+   * @static
+   */
+  static restoreCollapsedState(
+    data: TreeNodeDatum[],
+    prevData: TreeNodeDatum[],
+    initialDepth?: number
+  ) {
+    const prevCollapsed = new Map<string, boolean>();
+    Tree.walkNodes(prevData, node => prevCollapsed.set(node.__rd3t.id, node.__rd3t.collapsed));
+    Tree.walkNodes(data, node => {
+      if (prevCollapsed.has(node.__rd3t.id)) {
+        node.__rd3t.collapsed = prevCollapsed.get(node.__rd3t.id);
+      } else if (initialDepth !== undefined) {
+        node.__rd3t.collapsed = node.__rd3t.depth >= initialDepth;
       }
     });
-    return accumulator;
+  }
+
+  /**
+   * Sets the `collapsed` state of every node in `data` according to whether its `id`
+   * is part of `collapsedIds`.
+   *
+   * @static
+   */
+  static applyCollapsedIds(data: TreeNodeDatum[], collapsedIds: string[]) {
+    const collapsed = new Set(collapsedIds);
+    Tree.walkNodes(data, node => {
+      node.__rd3t.collapsed = collapsed.has(node.__rd3t.id);
+    });
+  }
+
+  /**
+   * Like `applyCollapsedIds`, but leaves `data` untouched: only the nodes whose `collapsed` state
+   * changes (and their ancestors) are copied. Returns `data` itself if no node changes.
+   *
+   * @static
+   */
+  static copyWithCollapsedIds(data: TreeNodeDatum[], collapsedIds: string[]) {
+    const collapsed = new Set(collapsedIds);
+    const draft = [...data];
+    const copied = new Set<object>([draft]);
+    const visit = (nodeSet: TreeNodeDatum[], parentPath: number[]) => {
+      nodeSet.forEach((node, i) => {
+        const path = [...parentPath, i];
+        if (node.__rd3t.collapsed !== collapsed.has(node.__rd3t.id)) {
+          const nodes = Tree.copyNodePath(draft, path, copied);
+          nodes[nodes.length - 1].__rd3t.collapsed = !node.__rd3t.collapsed;
+        }
+        node.children && visit(node.children, path);
+      });
+    };
+    visit(data, []);
+    return copied.size > 1 ? draft : data;
+  }
+
+  /**
+   * Returns the `id`s of all collapsed nodes in `data`.
+   *
+   * @static
+   */
+  static getCollapsedIds(data: TreeNodeDatum[]) {
+    const collapsedIds: string[] = [];
+    Tree.walkNodes(data, node => {
+      node.__rd3t.collapsed && collapsedIds.push(node.__rd3t.id);
+    });
+    return collapsedIds;
+  }
+
+  /**
+   * Calls `fn` for every node in the nested `nodeSet`, parents before their children.
+   *
+   * @static
+   */
+  static walkNodes(nodeSet: TreeNodeDatum[], fn: (node: TreeNodeDatum) => void) {
+    nodeSet.forEach(node => {
+      fn(node);
+      node.children && Tree.walkNodes(node.children, fn);
+    });
   }
 
   /**
@@ -255,13 +630,42 @@ class Tree extends React.Component<TreeProps, TreeState> {
   }
 
   /**
-   * Collapses all nodes in `nodeSet` that are neighbors (same depth) of `targetNode`.
+   * Collapses the node at `path` in `draft` (see `copyNodePath`) and all of its descendants,
+   * which are copied beforehand. Returns the collapsed node.
+   *
+   * @static
    */
-  collapseNeighborNodes(targetNode: TreeNodeDatum, nodeSet: TreeNodeDatum[]) {
-    const neighbors = this.findNodesAtDepth(targetNode.__rd3t.depth, nodeSet, []).filter(
-      node => node.__rd3t.id !== targetNode.__rd3t.id
-    );
-    neighbors.forEach(neighbor => Tree.collapseNode(neighbor));
+  static collapseNodeAtPath(draft: TreeNodeDatum[], path: number[], copied: Set<object>) {
+    const nodes = Tree.copyNodePath(draft, path, copied);
+    const nodeDatum = nodes[nodes.length - 1];
+    if (nodeDatum.children) {
+      nodeDatum.children = nodeDatum.children.map(Tree.copySubtree);
+    }
+    Tree.collapseNode(nodeDatum);
+    return nodeDatum;
+  }
+
+  /**
+   * Collapses all nodes in `draft` that are neighbors (same depth) of `targetNode`.
+   * Neighbors which are collapsed along with all of their descendants already are left as is.
+   */
+  collapseNeighborNodes(
+    targetNode: TreeNodeDatum,
+    draft: TreeNodeDatum[],
+    copied = new Set<object>([draft])
+  ) {
+    const { nodePaths } = this.state;
+    const targetId = targetNode.__rd3t.id;
+    const depth = nodePaths.get(targetId).length;
+    nodePaths.forEach((path, id) => {
+      if (
+        id !== targetId &&
+        path.length === depth &&
+        !Tree.isSubtreeCollapsed(Tree.getNodeAtPath(draft, path))
+      ) {
+        Tree.collapseNodeAtPath(draft, path, copied);
+      }
+    });
   }
 
   /**
@@ -270,36 +674,1002 @@ class Tree extends React.Component<TreeProps, TreeState> {
    * its internal `collapsed` property.
    * `setState` callback receives targetNode and handles
    * `props.onClick` if defined.
+   *
+   * Only the toggled node's ancestors (and the descendants whose collapse state changes)
+   * are copied; all other nodes are shared with the previous `state.data`.
    */
   handleNodeToggle = (nodeId: string) => {
-    const data = clone(this.state.data);
-    const matches = this.findNodesById(nodeId, data, []);
-    const targetNodeDatum = matches[0];
+    const path = this.state.nodePaths.get(nodeId);
+    if (!path || !this.props.collapsible || this.state.isTransitioning) {
+      return;
+    }
 
-    if (this.props.collapsible && !this.state.isTransitioning) {
-      if (targetNodeDatum.__rd3t.collapsed) {
-        Tree.expandNode(targetNodeDatum);
-        this.props.shouldCollapseNeighborNodes && this.collapseNeighborNodes(targetNodeDatum, data);
-      } else {
-        Tree.collapseNode(targetNodeDatum);
+    // Nodes flagged via `hasChildren` are expanded by loading their children first.
+    const nodeDatum = Tree.getNodeAtPath(this.state.data, path);
+    if (typeof this.props.loadChildren === 'function' && Tree.hasUnloadedChildren(nodeDatum)) {
+      !nodeDatum.__rd3t.loading && this.loadNodeChildren(nodeId);
+      return;
+    }
+
+    const data = [...this.state.data];
+    const copied = new Set<object>([data]);
+    let targetNodeDatum: TreeNodeDatum;
+    if (nodeDatum.__rd3t.collapsed) {
+      const nodes = Tree.copyNodePath(data, path, copied);
+      targetNodeDatum = nodes[nodes.length - 1];
+      Tree.expandNode(targetNodeDatum);
+      this.props.shouldCollapseNeighborNodes &&
+        this.collapseNeighborNodes(targetNodeDatum, data, copied);
+    } else {
+      targetNodeDatum = Tree.collapseNodeAtPath(data, path, copied);
+    }
+
+    if (hasLegacyTransitions(this.props)) {
+      // Lock node toggling while transition takes place.
+      this.commitCollapsedState(data, targetNodeDatum, { isTransitioning: true });
+      // Await transitionDuration + 10 ms before unlocking node toggling again.
+      setTimeout(
+        () => this.setState({ isTransitioning: false }),
+        this.props.transitionDuration + 10
+      );
+    } else {
+      this.commitCollapsedState(data, targetNodeDatum);
+    }
+
+    this.internalState.targetNode = targetNodeDatum;
+  };
+
+  /**
+   * Commits the updated collapse state in `data`.
+   * Notifies `props.onCollapsedChange` if defined, and only writes `data` to state if
+   * collapse state is uncontrolled (i.e. `props.collapsedIds` is not defined).
+   */
+  commitCollapsedState(
+    data: TreeNodeDatum[],
+    targetNodeDatum: TreeNodeDatum | null,
+    extraState: Partial<TreeState> = {}
+  ) {
+    const { collapsedIds, onCollapsedChange } = this.props;
+    if (typeof onCollapsedChange === 'function') {
+      onCollapsedChange(
+        Tree.getCollapsedIds(data),
+        targetNodeDatum ? clone(targetNodeDatum) : null
+      );
+    }
+    const nextState = collapsedIds === undefined ? { ...extraState, data } : extraState;
+    this.setState(nextState as TreeState);
+  }
+
+  /**
+   * Determines whether `nodeDatum` is flagged via `hasChildren`, but its children
+   * have not been loaded yet.
+   *
+   * @static
+   */
+  static hasUnloadedChildren(nodeDatum: TreeNodeDatum) {
+    return !!nodeDatum.hasChildren && !(nodeDatum.children && nodeDatum.children.length > 0);
+  }
+
+  /**
+   * Loads the children of the node matching `nodeId` via `props.loadChildren` and merges them
+   * into `state.data`, expanding the node. The node is flagged as `loading` in the meantime.
+   *
+   * If loading fails, the error is flagged on the node and passed to `props.onLoadError`,
+   * together with a function to retry loading.
+   */
+  loadNodeChildren(nodeId: string) {
+    const { loadChildren, onLoadError } = this.props;
+    const targetNodeDatum = clone(
+      Tree.getNodeAtPath(this.state.data, this.state.nodePaths.get(nodeId))
+    );
+    this.updateNodeDatum(nodeId, nodeDatum => {
+      nodeDatum.__rd3t.loading = true;
+      nodeDatum.__rd3t.loadError = null;
+    });
+
+    return new Promise<RawNodeDatum[]>(resolve => resolve(loadChildren(targetNodeDatum)))
+      .then(children => {
+        const path = this.state.nodePaths.get(nodeId);
+        if (this.internalState.isUnmounted || !path) {
+          return;
+        }
+        // Merge failures (e.g. accessors throwing on the loaded rows) are reported like any
+        // other load error below, rather than being thrown while updating the state.
+        const loadedChildren = Tree.assignInternalProperties(
+          clone(children || []),
+          Tree.getNodeAtPath(this.state.data, path).__rd3t.depth + 1,
+          this.props,
+          path
+        );
+        this.updateNodeDatum(
+          nodeId,
+          nodeDatum => {
+            nodeDatum.children = loadedChildren;
+            nodeDatum.__rd3t.loading = false;
+          },
+          () => this.expandLoadedNode(nodeId)
+        );
+      })
+      .catch(error => {
+        if (this.internalState.isUnmounted) {
+          return;
+        }
+        this.updateNodeDatum(nodeId, nodeDatum => {
+          nodeDatum.__rd3t.loading = false;
+          nodeDatum.__rd3t.loadError = error;
+        });
+        if (typeof onLoadError === 'function') {
+          onLoadError(error, targetNodeDatum, () => this.loadNodeChildren(nodeId));
+        }
+      });
+  }
+
+  /**
+   * Expands the node matching `nodeId` once its children have been loaded. Like any other
+   * toggle, this is committed via `commitCollapsedState`, so that with controlled collapse state
+   * only `props.onCollapsedChange` is notified.
+   */
+  expandLoadedNode(nodeId: string) {
+    const path = this.state.nodePaths.get(nodeId);
+    if (!path || this.internalState.isUnmounted) {
+      return;
+    }
+    const data = [...this.state.data];
+    const nodes = Tree.copyNodePath(
+      data,
+      path,
+      new Set<object>([data])
+    );
+    const targetNodeDatum = nodes[nodes.length - 1];
+    Tree.expandNode(targetNodeDatum);
+    this.commitCollapsedState(data, targetNodeDatum);
+    this.internalState.targetNode = targetNodeDatum;
+  }
+
+  /**
+   * Applies `update` to a copy of the node matching `nodeId` in the latest `state.data`.
+   * `update` also receives the node's `path`, i.e. the indices leading to it from the root.
+   * `callback` is called once the update has been applied.
+   *
+   * Should `update` assign new `children` to the node, these are added to `state.nodePaths`.
+   */
+  updateNodeDatum(
+    nodeId: string,
+    update: (nodeDatum: TreeNodeDatum, path: number[]) => void,
+    callback?: () => void
+  ) {
+    this.setState(prevState => {
+      const path = prevState.nodePaths.get(nodeId);
+      if (!path) {
+        return null;
       }
+      const data = [...prevState.data];
+      const nodes = Tree.copyNodePath(
+        data,
+        path,
+        new Set<object>([data])
+      );
+      const nodeDatum = nodes[nodes.length - 1];
+      const prevChildren = nodeDatum.children;
+      update(nodeDatum, path);
+      const nodePaths =
+        nodeDatum.children && nodeDatum.children !== prevChildren
+          ? Tree.indexNodePaths(nodeDatum.children, path, new Map(prevState.nodePaths))
+          : prevState.nodePaths;
+      return { data, nodePaths };
+    }, callback);
+  }
 
-      if (this.props.enableLegacyTransitions) {
-        // Lock node toggling while transition takes place.
-        this.setState({ data, isTransitioning: true });
-        // Await transitionDuration + 10 ms before unlocking node toggling again.
-        setTimeout(
-          () => this.setState({ isTransitioning: false }),
-          this.props.transitionDuration + 10
+  /**
+   * Returns the props determining the tree's layout which are sent to the layout worker,
+   * or `null` if the layout depends on functions, which cannot be passed to a worker.
+   */
+  getWorkerLayoutProps(): Partial<TreeProps> | null {
+    const props: Record<string, unknown> = {};
+    for (const key of LAYOUT_PROPS) {
+      if (typeof this.props[key] === 'function') {
+        return null;
+      }
+      props[key] = this.props[key];
+    }
+    return props as Partial<TreeProps>;
+  }
+
+  /**
+   * Whether the layout is currently computed by the layout worker (see `layoutInWorker`).
+   */
+  shouldLayoutInWorker() {
+    const { layoutInWorker, createLayoutWorker, initialDepth } = this.props;
+    return (
+      layoutInWorker &&
+      typeof createLayoutWorker === 'function' &&
+      !this.layoutState.workerFailed &&
+      // `initialDepth` is applied by mutating the collapse state of `data` during the layout.
+      !(initialDepth !== undefined && this.state.isInitialRenderForDataset) &&
+      this.getWorkerLayoutProps() !== null
+    );
+  }
+
+  /**
+   * Returns the layout to render: the latest layout received from the layout worker, or
+   * otherwise a synchronously computed one.
+   *
+   * Synchronous layouts are cached, and only recomputed once `data` (incl. its collapse state)
+   * or any of the `LAYOUT_PROPS` changed. Object props are compared by value, functions by
+   * identity.
+   */
+  getLayout(): TreeLayout {
+    if (this.shouldLayoutInWorker()) {
+      return this.layoutState.current || { nodes: [], links: [], stackedNodes: new Set() };
+    }
+    const { data, isInitialRenderForDataset } = this.state;
+    const { current, inputs } = this.layoutState;
+    if (
+      current &&
+      inputs &&
+      inputs.data === data &&
+      inputs.isInitialRenderForDataset === isInitialRenderForDataset &&
+      this.hasSameLayoutProps(inputs.props)
+    ) {
+      return current;
+    }
+    const startTime = performance.now();
+    const layout = this.generateTree();
+    this.layoutState.current = layout;
+    this.layoutState.inputs = { data, isInitialRenderForDataset, props: this.props };
+    this.layoutState.completed = {
+      duration: performance.now() - startTime,
+      nodeCount: layout.nodes.length,
+      inWorker: false,
+    };
+    return layout;
+  }
+
+  /**
+   * Whether all `LAYOUT_PROPS` are equal to those in `prevProps`.
+   *
+   * Outside of production, warns once per prop about functions which are re-created with the
+   * same source on every render (e.g. inline arrow functions), as they defeat the layout cache.
+   */
+  hasSameLayoutProps(prevProps: TreeProps) {
+    const changedProps = LAYOUT_PROPS.filter(key => !deepEqual(prevProps[key], this.props[key]));
+    this.warnAboutRecreatedFunctions(prevProps, changedProps, 'layout to be recomputed');
+    return changedProps.length === 0;
+  }
+
+  /**
+   * Outside of production, warns once per prop about those of `keys` whose functions are
+   * re-created with the same source as in `prevProps` (e.g. inline arrow functions), which forces
+   * the tree's `consequence` on every render.
+   */
+  warnAboutRecreatedFunctions(
+    prevProps: TreeProps,
+    keys: (keyof TreeProps)[],
+    consequence: string
+  ) {
+    if (process.env.NODE_ENV === 'production') {
+      return;
+    }
+    keys
+      .filter(
+        key =>
+          typeof prevProps[key] === 'function' &&
+          typeof this.props[key] === 'function' &&
+          prevProps[key] !== this.props[key] &&
+          prevProps[key].toString() === this.props[key].toString() &&
+          !this.layoutState.warnedProps.has(key)
+      )
+      .forEach(key => {
+        this.layoutState.warnedProps.add(key);
+        console.warn(
+          `react-d3-tree: \`${key}\` is re-created on every render, which forces the tree's ` +
+            `${consequence} each time. Define it outside of the rendering component ` +
+            `or memoize it (e.g. via \`useCallback\`).`
         );
-      } else {
-        this.setState({ data });
+      });
+  }
+
+  /**
+   * Asks the layout worker for a new layout if `data` or any layout props changed since the
+   * last request. Falls back to synchronous layouts if the worker cannot be used.
+   */
+  requestWorkerLayout() {
+    if (!this.shouldLayoutInWorker()) {
+      return;
+    }
+    const { data } = this.state;
+    const props = this.getWorkerLayoutProps();
+    const { request } = this.layoutState;
+    if (request && request.data === data && deepEqual(request.props, props)) {
+      return;
+    }
+    try {
+      if (!this.layoutState.worker) {
+        this.layoutState.worker = this.props.createLayoutWorker();
+        this.layoutState.worker.onmessage = this.handleWorkerLayout;
+        this.layoutState.worker.onerror = this.handleWorkerError;
       }
+      const message: LayoutWorkerRequest = { requestId: ++this.layoutState.requestId, data, props };
+      this.layoutState.request = { data, props, startTime: performance.now() };
+      this.layoutState.worker.postMessage(message);
+    } catch (err) {
+      this.handleWorkerError();
+    }
+  }
 
-      this.internalState.targetNode = targetNodeDatum;
+  /**
+   * Renders the layout received from the layout worker, unless a newer one was requested since.
+   */
+  handleWorkerLayout = (evt: MessageEvent) => {
+    const { requestId, layout }: LayoutWorkerResponse = evt.data;
+    const { request } = this.layoutState;
+    if (requestId !== this.layoutState.requestId || this.internalState.isUnmounted) {
+      return;
     }
+    this.layoutState.current = Tree.deserializeLayout(layout, request.data);
+    this.layoutState.inputs = null;
+    this.layoutState.completed = {
+      duration: performance.now() - request.startTime,
+      nodeCount: layout.nodes.length,
+      inWorker: true,
+    };
+    this.forceUpdate();
   };
 
+  /**
+   * Falls back to synchronous layouts for the rest of the component's lifetime.
+   */
+  handleWorkerError = () => {
+    this.layoutState.workerFailed = true;
+    if (this.layoutState.worker) {
+      this.layoutState.worker.terminate();
+      this.layoutState.worker = null;
+    }
+    if (!this.internalState.isUnmounted) {
+      this.forceUpdate();
+    }
+  };
+
+  /**
+   * Calls `onLayoutComplete` for the latest layout once it has been rendered.
+   */
+  reportLayoutComplete() {
+    const { onLayoutComplete } = this.props;
+    const { completed } = this.layoutState;
+    this.layoutState.completed = null;
+    if (completed && typeof onLayoutComplete === 'function') {
+      onLayoutComplete(completed);
+    }
+  }
+
+  /**
+   * Rebuilds the nodes & links of a `SerializedTreeLayout` from the node data in `data`.
+   */
+  static deserializeLayout(serialized: SerializedTreeLayout, data: TreeNodeDatum[]): TreeLayout {
+    const datumById = new Map<string, TreeNodeDatum>();
+    Tree.walkNodes(data, nodeDatum => datumById.set(nodeDatum.__rd3t.id, nodeDatum));
+    const nodeById = new Map<string, HierarchyPointNode<TreeNodeDatum>>();
+    const nodes = serialized.nodes.map(({ id, depth, x, y }) => {
+      const node = hierarchy(datumById.get(id), () => null) as HierarchyPointNode<TreeNodeDatum>;
+      Object.assign(node, { depth, x, y });
+      nodeById.set(id, node);
+      return node;
+    });
+    const links: HierarchyPointLink<TreeNodeDatum>[] = [];
+    serialized.nodes.forEach(({ id, parentId }) => {
+      if (parentId === null) {
+        return;
+      }
+      const node = nodeById.get(id);
+      const parent = nodeById.get(parentId);
+      node.parent = parent;
+      parent.children = parent.children || [];
+      parent.children.push(node);
+      links.push({ source: parent, target: node });
+    });
+    nodes
+      .filter(node => !node.parent)
+      .forEach(root =>
+        root.eachAfter(node => {
+          const height = node.children ? Math.max(...node.children.map(c => c.height)) + 1 : 0;
+          Object.assign(node, { height });
+        })
+      );
+    return {
+      nodes,
+      links,
+      stackedNodes: new Set(serialized.stackedIds.map(id => nodeById.get(id))),
+    };
+  }
+
+  /**
+   * Imperative API: expands every node in the tree.
+   */
+  expandAll() {
+    const data = clone(this.state.data);
+    Tree.walkNodes(data, node => Tree.expandNode(node));
+    this.commitCollapsedState(data, null);
+  }
+
+  /**
+   * Imperative API: collapses every node in the tree, leaving only the root node visible.
+   */
+  collapseAll() {
+    const data = clone(this.state.data);
+    data.forEach(node => Tree.collapseNode(node));
+    this.commitCollapsedState(data, null);
+  }
+
+  /**
+   * Imperative API: expands all ancestors of the node matching `nodeId`, so that the node
+   * becomes visible in the tree. The node's own `collapsed` state is left untouched.
+   */
+  expandToNode(nodeId: string) {
+    const path = this.state.nodePaths.get(nodeId);
+    if (!path) {
+      return;
+    }
+    const data = [...this.state.data];
+    const nodes = Tree.copyNodePath(
+      data,
+      path,
+      new Set<object>([data])
+    );
+    const targetNodeDatum = nodes[nodes.length - 1];
+    nodes.slice(0, -1).forEach(ancestor => Tree.expandNode(ancestor));
+    this.internalState.targetNode = targetNodeDatum;
+    this.commitCollapsedState(data, targetNodeDatum);
+  }
+
+  /**
+   * Imperative API: toggles the node matching `nodeId`, exactly as if it had been clicked.
+   */
+  toggleNode(nodeId: string) {
+    this.handleNodeToggle(nodeId);
+  }
+
+  /**
+   * Imperative API: pans the tree so that the node matching `nodeId` sits at the center
+   * of the SVG canvas.
+   *
+   * Only nodes which are currently visible can be centered on; use `expandToNode` beforehand
+   * if the node may be hidden inside a collapsed branch. Pending state updates (e.g. from a
+   * preceding `expandToNode` call) are flushed before the node's position is resolved.
+   */
+  centerOnNode(nodeId: string, options: TreeCenterOptions = {}) {
+    this.setState({}, () => {
+      const { nodes } = this.getLayout();
+      const targetNode = nodes.find(node => node.data.__rd3t.id === nodeId);
+      const svgNode = select<SVGSVGElement, unknown>(`.${this.svgInstanceRef}`).node();
+      if (!targetNode || !svgNode || !this.zoomBehavior) {
+        return;
+      }
+      const { width, height } = svgNode.getBoundingClientRect();
+      const scale = this.clampScale(
+        options.zoom !== undefined ? options.zoom : zoomTransform(svgNode).k
+      );
+      const [x, y] = projectPoint(targetNode, this.props.orientation);
+      this.applyZoomTransform(
+        zoomIdentity.translate(width / 2 - x * scale, height / 2 - y * scale).scale(scale),
+        options.animate
+      );
+    });
+  }
+
+  /**
+   * Imperative API: sets the zoom level to `scale` (constrained by `scaleExtent`),
+   * keeping the center of the SVG canvas fixed.
+   */
+  zoomTo(scale: number, options: TreeZoomOptions = {}) {
+    const svgNode = select<SVGSVGElement, unknown>(`.${this.svgInstanceRef}`).node();
+    if (!svgNode || !this.zoomBehavior) {
+      return;
+    }
+    const { width, height } = svgNode.getBoundingClientRect();
+    const current = zoomTransform(svgNode);
+    const k = this.clampScale(scale);
+    const [cx, cy] = current.invert([width / 2, height / 2]);
+    this.applyZoomTransform(
+      zoomIdentity.translate(width / 2 - cx * k, height / 2 - cy * k).scale(k),
+      options.animate
+    );
+  }
+
+  /**
+   * Imperative API: pans & zooms the tree so that all of its nodes fit into the SVG canvas.
+   * The zoom level is constrained by `scaleExtent`.
+   */
+  fitToView(options: TreeZoomOptions = {}) {
+    const svgNode = select<SVGSVGElement, unknown>(`.${this.svgInstanceRef}`).node();
+    if (!svgNode || !this.zoomBehavior) {
+      return;
+    }
+    const { width, height } = svgNode.getBoundingClientRect();
+    if (!width || !height) {
+      return;
+    }
+    const { minX, minY, maxX, maxY } = this.getTreeBounds();
+    // No nodes have been laid out yet, e.g. while awaiting the layout worker.
+    if (minX > maxX) {
+      return;
+    }
+    const scale = this.clampScale(Math.min(width / (maxX - minX), height / (maxY - minY)));
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+    this.applyZoomTransform(
+      zoomIdentity.translate(width / 2 - cx * scale, height / 2 - cy * scale).scale(scale),
+      options.animate
+    );
+  }
+
+  /**
+   * Returns the bounding box of all laid out nodes on the (unzoomed) SVG canvas, including
+   * the space each node occupies according to `nodeSize` or `getNodeSize`.
+   */
+  getTreeBounds(): Bounds {
+    const { nodes } = this.getLayout();
+    return nodes
+      .map(node => this.getNodeBounds(node))
+      .reduce(
+        (bounds, nodeBounds) => ({
+          minX: Math.min(bounds.minX, nodeBounds.minX),
+          minY: Math.min(bounds.minY, nodeBounds.minY),
+          maxX: Math.max(bounds.maxX, nodeBounds.maxX),
+          maxY: Math.max(bounds.maxY, nodeBounds.maxY),
+        }),
+        { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+      );
+  }
+
+  /**
+   * Returns the rectangle `node` occupies on the (unzoomed) SVG canvas according to
+   * `nodeSize` or `getNodeSize`.
+   */
+  getNodeBounds(node: HierarchyPointNode<TreeNodeDatum>): Bounds {
+    const { orientation, nodeSize, getNodeSize } = this.props;
+    const [x, y] = projectPoint(node, orientation);
+    const size = getNodeSize ? getNodeSize(node.data) : nodeSize;
+    return {
+      minX: x - size.x / 2,
+      minY: y - size.y / 2,
+      maxX: x + size.x / 2,
+      maxY: y + size.y / 2,
+    };
+  }
+
+  /**
+   * Updates the area of the (unzoomed) SVG canvas inside which nodes & links are rendered
+   * if `viewportCulling` is enabled, based on the zoom `transform` (defaults to the current one).
+   *
+   * To avoid re-rendering on every single pan/zoom event, the area is only recomputed once
+   * the visible part of the canvas is no longer fully contained in it, unless `force` is set.
+   */
+  updateViewport(transform?: ZoomTransform, force = false) {
+    const { viewportCulling, viewportCullingMargin } = this.props;
+    const svgNode = select<SVGSVGElement, unknown>(`.${this.svgInstanceRef}`).node();
+    if (!viewportCulling || !svgNode) {
+      return;
+    }
+    const t = transform || zoomTransform(svgNode);
+    const { width, height } = svgNode.getBoundingClientRect();
+    const [minX, minY] = t.invert([0, 0]);
+    const [maxX, maxY] = t.invert([width, height]);
+    const visible = { minX, minY, maxX, maxY };
+    if (!force && this.state.viewport && contains(this.state.viewport, visible)) {
+      return;
+    }
+    const margin = viewportCullingMargin / t.k;
+    this.setState({
+      viewport: {
+        minX: minX - margin,
+        minY: minY - margin,
+        maxX: maxX + margin,
+        maxY: maxY + margin,
+      },
+    });
+  }
+
+  /**
+   * Returns spatial indexes of the nodes & links of `layout`. These are only rebuilt once the
+   * layout changes, rather than on every render.
+   */
+  getLayoutIndexes(layout: TreeLayout) {
+    if (!this.layoutIndexes || this.layoutIndexes.layout !== layout) {
+      const { nodeSize, orientation } = this.props;
+      this.layoutIndexes = {
+        layout,
+        ...indexLayout({
+          nodes: layout.nodes,
+          links: layout.links,
+          orientation,
+          getNodeBounds: node => this.getNodeBounds(node),
+          cellSize: 4 * Math.max(nodeSize.x, nodeSize.y),
+        }),
+      };
+    }
+    return this.layoutIndexes;
+  }
+
+  /**
+   * Narrows the nodes & links of `layout` down to those intersecting the current viewport area,
+   * if `viewportCulling` is enabled. Nothing is rendered until the size of the SVG canvas is
+   * known after mounting.
+   */
+  cullToViewport(layout: TreeLayout): Pick<TreeLayout, 'nodes' | 'links'> {
+    const { viewport } = this.state;
+    if (!this.props.viewportCulling) {
+      return layout;
+    }
+    if (!viewport) {
+      return { nodes: [], links: [] };
+    }
+    const { nodeIndex, linkIndex } = this.getLayoutIndexes(layout);
+    return {
+      nodes: nodeIndex.search(viewport),
+      links: linkIndex.search(viewport) as HierarchyPointLink<TreeNodeDatum>[],
+    };
+  }
+
+  /**
+   * Returns the scene to draw `layout` onto the canvas with (see `renderer`). The scene is only
+   * recreated once the layout or any of the props it is drawn with change.
+   */
+  getCanvasScene(layout: TreeLayout): CanvasScene {
+    const { orientation, getLabel, getAttributes, pathFunc, layout: layoutType } = this.props;
+    const { nodeIndex, linkIndex } = this.getLayoutIndexes(layout);
+    const inputs = [nodeIndex, orientation, getLabel, getAttributes, pathFunc, layoutType];
+    if (!this.canvasScene || inputs.some((input, i) => input !== this.canvasSceneInputs[i])) {
+      this.canvasScene = createCanvasScene({
+        nodeIndex,
+        linkIndex,
+        orientation,
+        getLabel,
+        getAttributes,
+        drawLinkPath: linkData =>
+          Link.prototype.drawPath(
+            linkData,
+            orientation,
+            this.getLinkPathFunc(linkData, layout.stackedNodes)
+          ),
+      });
+      this.canvasSceneInputs = inputs;
+    }
+    return this.canvasScene;
+  }
+
+  /**
+   * Returns the path function `linkData` is drawn with. Rows of an `indented` tree and leaves
+   * in `stackedNodes` are connected by elbows, unless a custom `pathFunc` is used.
+   */
+  getLinkPathFunc(
+    linkData: TreeLinkDatum,
+    stackedNodes: TreeLayout['stackedNodes']
+  ): TreeProps['pathFunc'] {
+    const { layout, pathFunc } = this.props;
+    if (typeof pathFunc === 'function') {
+      return pathFunc;
+    }
+    if (stackedNodes.has(linkData.target)) {
+      return Tree.drawStackedLinkPath;
+    }
+    return layout === 'indented' ? 'elbow' : pathFunc;
+  }
+
+  /**
+   * Whether changes to the tree's layout are animated, see `props.enableAnimations`.
+   */
+  shouldAnimate() {
+    return this.props.enableAnimations && this.props.renderer !== 'canvas';
+  }
+
+  /**
+   * Returns the nodes & links which are animated out of the tree while it transitions
+   * to `layout`: those displayed before, which are not part of `layout`.
+   */
+  getExitingElements(layout: TreeLayout): Pick<TreeLayout, 'nodes' | 'links'> {
+    const { layout: prevLayout, exiting, pending } = this.animationState;
+    if (!this.shouldAnimate()) {
+      return { nodes: [], links: [] };
+    }
+    if (!prevLayout || layout === prevLayout) {
+      return exiting;
+    }
+    if (pending && pending.layout === layout) {
+      return pending.exiting;
+    }
+    const ids = new Set(layout.nodes.map(node => node.data.__rd3t.id));
+    const isExiting = (node: HierarchyPointNode<TreeNodeDatum>) => !ids.has(node.data.__rd3t.id);
+    const nextExiting = {
+      nodes: prevLayout.nodes.concat(exiting.nodes).filter(isExiting),
+      links: prevLayout.links.concat(exiting.links).filter(link => isExiting(link.target)),
+    };
+    this.animationState.pending = { layout, exiting: nextExiting };
+    return nextExiting;
+  }
+
+  /**
+   * Animates the tree from the currently displayed state to the latest layout, if it changed.
+   *
+   * Nodes which are new to the tree enter from the displayed position of their closest
+   * ancestor, exiting nodes leave towards the next position of their closest remaining ancestor.
+   */
+  animateLayout() {
+    const layout = this.layoutState.current;
+    const { layout: prevLayout } = this.animationState;
+    // The initial layout of a dataset is only rendered until `initialDepth` has been applied.
+    if (!this.shouldAnimate() || this.state.isInitialRenderForDataset) {
+      if (prevLayout) {
+        this.animation.stop();
+        this.animationState = {
+          layout: null,
+          exiting: { nodes: [], links: [] },
+          pending: null,
+          links: new Map(),
+        };
+      }
+      return;
+    }
+    if (!layout || layout === prevLayout) {
+      return;
+    }
+    const exiting = this.getExitingElements(layout);
+    const { stackedNodes } = layout;
+    const links = new Map();
+    layout.links.concat(exiting.links).forEach(link => {
+      const pathFunc = this.getLinkPathFunc(link, stackedNodes);
+      links.set(link.target.data.__rd3t.id, { link, pathFunc });
+    });
+    this.animationState = { layout, exiting, pending: null, links };
+
+    const nextNodes = new Map<string, HierarchyPointNode<TreeNodeDatum>>();
+    layout.nodes.forEach(node => nextNodes.set(node.data.__rd3t.id, node));
+    const to: AnimationFrame = new Map();
+    nextNodes.forEach(({ x, y }, id) => to.set(id, { x, y, opacity: 1 }));
+    if (!prevLayout || this.props.transitionDuration <= 0) {
+      this.animation.jumpTo(to);
+      this.handleAnimationEnd();
+      return;
+    }
+
+    const current = this.animation.frame;
+    const from: AnimationFrame = new Map();
+    nextNodes.forEach((node, id) => {
+      const ancestor = Tree.findClosestAncestor(node, current);
+      const origin = ancestor ? current.get(ancestor.data.__rd3t.id) : node;
+      from.set(id, current.get(id) || { x: origin.x, y: origin.y, opacity: 0 });
+    });
+    exiting.nodes.forEach(node => {
+      const id = node.data.__rd3t.id;
+      const ancestor = Tree.findClosestAncestor(node, nextNodes);
+      const { x, y } = ancestor ? nextNodes.get(ancestor.data.__rd3t.id) : node;
+      from.set(id, current.get(id) || { x: node.x, y: node.y, opacity: 1 });
+      to.set(id, { x, y, opacity: 0 });
+    });
+
+    if (
+      exiting.nodes.length === 0 &&
+      Array.from(to).every(([id, state]) => deepEqual(state, from.get(id)))
+    ) {
+      this.animation.jumpTo(to);
+      return;
+    }
+
+    const { animationEasing, transitionDuration } = this.props;
+    const easing =
+      typeof animationEasing === 'function' ? animationEasing : EASINGS[animationEasing];
+    this.animation.start(from, to, transitionDuration, easing);
+  }
+
+  /**
+   * Returns the closest ancestor of `node` whose id is a key of `nodesById`, if any.
+   *
+   * @static
+   */
+  static findClosestAncestor(
+    node: HierarchyPointNode<TreeNodeDatum>,
+    nodesById: Map<string, unknown>
+  ) {
+    let ancestor = node.parent;
+    while (ancestor && !nodesById.has(ancestor.data.__rd3t.id)) {
+      ancestor = ancestor.parent;
+    }
+    return ancestor;
+  }
+
+  /**
+   * Moves the rendered node & link elements to their state in `frame`.
+   */
+  applyAnimationFrame(frame: AnimationFrame) {
+    const g = document.querySelector(`.${this.gInstanceRef}`);
+    if (!g) {
+      return;
+    }
+    const { orientation } = this.props;
+    const { links } = this.animationState;
+    // Places `node` at its position in `frame`, keeping everything else about it.
+    const atFrame = (node: HierarchyPointNode<TreeNodeDatum>, state: AnimatedNodeState) =>
+      Object.assign(Object.create(node), { x: state.x, y: state.y });
+    Array.from(g.children).forEach(element => {
+      if (element.tagName === 'path') {
+        const entry = links.get(element.getAttribute('data-target-id'));
+        const source = entry && frame.get(entry.link.source.data.__rd3t.id);
+        const target = entry && frame.get(entry.link.target.data.__rd3t.id);
+        if (source && target) {
+          const linkData = {
+            source: atFrame(entry.link.source, source),
+            target: atFrame(entry.link.target, target),
+          };
+          element.setAttribute('d', Link.prototype.drawPath(linkData, orientation, entry.pathFunc));
+          (element as SVGPathElement).style.opacity = String(target.opacity);
+        }
+        return;
+      }
+      const state = frame.get(element.getAttribute('data-id'));
+      if (state) {
+        const [x, y] = projectPoint(state, orientation);
+        element.setAttribute('transform', `translate(${x},${y})`);
+        (element as SVGGElement).style.opacity = String(state.opacity);
+      }
+    });
+  }
+
+  /**
+   * Removes the exiting nodes & links once the tree has been animated to its latest layout.
+   */
+  private handleAnimationEnd() {
+    const { layout, exiting } = this.animationState;
+    const frame: AnimationFrame = new Map();
+    layout.nodes.forEach(({ data }) => {
+      const id = data.__rd3t.id;
+      frame.set(id, this.animation.frame.get(id));
+    });
+    this.animation.jumpTo(frame);
+    if (exiting.nodes.length > 0 || exiting.links.length > 0) {
+      this.animationState.exiting = { nodes: [], links: [] };
+      !this.internalState.isUnmounted && this.forceUpdate();
+    }
+  }
+
+  /**
+   * Redraws the tree onto the canvas if the `canvas` renderer is used, panned & zoomed
+   * according to `transform` (defaults to the current zoom transform).
+   */
+  drawCanvas(transform?: ZoomTransform) {
+    const svgNode = select<SVGSVGElement, unknown>(`.${this.svgInstanceRef}`).node();
+    if (this.props.renderer !== 'canvas' || !this.canvasRef || !this.canvasScene || !svgNode) {
+      return;
+    }
+    drawCanvas(this.canvasRef, this.canvasScene, transform || zoomTransform(svgNode));
+  }
+
+  /**
+   * Hit-tests the canvas at the pointer position of `evt`, returning the node (or otherwise the
+   * link) found there.
+   */
+  findCanvasTarget(evt: React.MouseEvent<SVGSVGElement>) {
+    if (!this.canvasRef || !this.canvasScene) {
+      return {};
+    }
+    const { left, top } = evt.currentTarget.getBoundingClientRect();
+    const transform = zoomTransform(evt.currentTarget);
+    const point = transform.invert([evt.clientX - left, evt.clientY - top]);
+    const node = findNodeAt(this.canvasScene, point);
+    if (node) {
+      return { node };
+    }
+    const link = findLinkAt(this.canvasRef, this.canvasScene, point, transform.k);
+    return link ? { link } : {};
+  }
+
+  /**
+   * Toggles & reports clicks on nodes/links drawn by the `canvas` renderer, mirroring the
+   * behavior of the SVG `Node` & `Link` elements.
+   */
+  handleCanvasClick = (evt: React.MouseEvent<SVGSVGElement>) => {
+    const { node, link } = this.findCanvasTarget(evt);
+    if (node) {
+      this.handleNodeToggle(node.data.__rd3t.id);
+      this.handleOnNodeClickCb(node, evt);
+    } else if (link) {
+      this.handleOnLinkClickCb(link.source, link.target, evt);
+    }
+  };
+
+  /**
+   * Reports the pointer entering/leaving nodes & links drawn by the `canvas` renderer.
+   */
+  handleCanvasMouseMove = (evt: React.MouseEvent<SVGSVGElement>) => {
+    const target = this.findCanvasTarget(evt);
+    const getTargetId = ({ node, link }: Tree['hoveredCanvasTarget']) =>
+      (node && node.data.__rd3t.id) ||
+      (link && `${link.source.data.__rd3t.id}-${link.target.data.__rd3t.id}`);
+    if (getTargetId(target) === getTargetId(this.hoveredCanvasTarget)) {
+      return;
+    }
+    this.handleCanvasMouseLeave(evt);
+    const { node, link } = target;
+    this.hoveredCanvasTarget = target;
+    evt.currentTarget.style.cursor = node || link ? 'pointer' : '';
+    if (node) {
+      this.handleOnNodeMouseOverCb(node, evt);
+    } else if (link) {
+      this.handleOnLinkMouseOverCb(link.source, link.target, evt);
+    }
+  };
+
+  handleCanvasMouseLeave = (evt: React.MouseEvent<SVGSVGElement>) => {
+    const { node, link } = this.hoveredCanvasTarget;
+    this.hoveredCanvasTarget = {};
+    evt.currentTarget.style.cursor = '';
+    if (node) {
+      this.handleOnNodeMouseOutCb(node, evt);
+    } else if (link) {
+      this.handleOnLinkMouseOutCb(link.source, link.target, evt);
+    }
+  };
+
+  /**
+   * Observes the size of the SVG canvas (if `ResizeObserver` is supported), so that
+   * `fitOnResize` & `centerRoot` can be applied whenever it changes.
+   */
+  observeCanvasSize() {
+    const svgNode = select<SVGSVGElement, unknown>(`.${this.svgInstanceRef}`).node();
+    if (!svgNode || typeof ResizeObserver === 'undefined') {
+      return;
+    }
+    const { width, height } = svgNode.getBoundingClientRect();
+    this.canvasSize = { width, height };
+    this.resizeObserver = new ResizeObserver(this.handleCanvasResize);
+    this.resizeObserver.observe(svgNode);
+  }
+
+  /**
+   * Re-fits or re-centers the tree after the SVG canvas was resized.
+   */
+  private handleCanvasResize = (entries: ResizeObserverEntry[]) => {
+    const { width, height } = entries[entries.length - 1].contentRect;
+    // `ResizeObserver` also reports the initial size once observation starts; skip it.
+    if (width === this.canvasSize.width && height === this.canvasSize.height) {
+      return;
+    }
+    this.canvasSize = { width, height };
+    this.updateViewport();
+    this.drawCanvas();
+    if (this.props.fitOnResize) {
+      this.fitToView({ animate: true });
+    } else if (this.props.centerRoot) {
+      this.centerOnNode(this.state.data[0].__rd3t.id, { animate: true });
+    }
+  };
+
+  /**
+   * Constrains `scale` to the zoom levels currently permitted by `zoomable` & `scaleExtent`.
+   */
+  clampScale(scale: number) {
+    const { zoomable, scaleExtent, zoom } = this.props;
+    if (!zoomable) {
+      return zoom;
+    }
+    return Math.min(scaleExtent.max, Math.max(scaleExtent.min, scale));
+  }
+
+  /**
+   * Applies `transform` through the bound d3-zoom behavior, so that the `zoom` listener and
+   * any subsequent pan/zoom gestures pick up the new position.
+   */
+  applyZoomTransform(transform: ZoomTransform, animate = false) {
+    const svg = select<SVGSVGElement, unknown>(`.${this.svgInstanceRef}`);
+    if (animate) {
+      svg
+        // @ts-ignore
+        .transition()
+        .duration(this.props.transitionDuration)
+        .call(this.zoomBehavior.transform, transform);
+    } else {
+      svg.call(this.zoomBehavior.transform, transform);
+    }
+  }
+
   /**
    * Handles the user-defined `onNodeClick` function.
    */
@@ -373,42 +1743,35 @@ class Tree extends React.Component<TreeProps, TreeState> {
   };
 
   /**
-   * Generates tree elements (`nodes` and `links`) by
-   * grabbing the rootNode from `this.state.data[0]`.
+   * Generates tree elements (`nodes` and `links`) by laying out `this.state.data`
+   * via `computeLayout`.
    * Restricts tree depth to `props.initialDepth` if defined and if this is
    * the initial render of the tree.
    */
-  generateTree() {
-    const { initialDepth, depthFactor, separation, nodeSize, orientation } = this.props;
-    const { isInitialRenderForDataset } = this.state;
-    const tree = d3tree<TreeNodeDatum>()
-      .nodeSize(orientation === 'horizontal' ? [nodeSize.y, nodeSize.x] : [nodeSize.x, nodeSize.y])
-      .separation((a, b) =>
-        a.parent.data.__rd3t.id === b.parent.data.__rd3t.id
-          ? separation.siblings
-          : separation.nonSiblings
-      );
-
-    const rootNode = tree(
-      hierarchy(this.state.data[0], d => (d.__rd3t.collapsed ? null : d.children))
-    );
-    let nodes = rootNode.descendants();
-    const links = rootNode.links();
-
+  generateTree(): TreeLayout {
+    const { initialDepth } = this.props;
+    const { data, isInitialRenderForDataset } = this.state;
+    const layout = computeLayout(data, this.props);
     // Configure nodes' `collapsed` property on first render if `initialDepth` is defined.
     if (initialDepth !== undefined && isInitialRenderForDataset) {
-      this.setInitialTreeDepth(nodes, initialDepth);
+      this.setInitialTreeDepth(layout.nodes, initialDepth);
     }
-
-    if (depthFactor) {
-      nodes.forEach(node => {
-        node.y = node.depth * depthFactor;
-      });
-    }
-
-    return { nodes, links };
+    return layout;
   }
 
+  /**
+   * Draws the elbow connecting a leaf stacked by `compact` mode to its parent: along the depth
+   * of the tree first, then across to the leaf's column.
+   *
+   * @static
+   */
+  static drawStackedLinkPath: PathFunction = ({ source, target }, orientation) => {
+    const [sourceX, sourceY] = projectPoint(source, orientation);
+    const [cornerX, cornerY] = projectPoint({ x: source.x, y: target.y }, orientation);
+    const [targetX, targetY] = projectPoint(target, orientation);
+    return `M${sourceX},${sourceY}L${cornerX},${cornerY}L${targetX},${targetY}`;
+  };
+
   /**
    * Set initial zoom and position.
    * Also limit zoom level according to `scaleExtent` on initial display. This is necessary,
@@ -439,90 +1802,149 @@ class Tree extends React.Component<TreeProps, TreeState> {
     const { rootNodeClassName, branchNodeClassName, leafNodeClassName } = this.props;
     const hasParent = parent !== null && parent !== undefined;
     if (hasParent) {
-      return nodeDatum.children ? branchNodeClassName : leafNodeClassName;
+      return nodeDatum.children || nodeDatum.hasChildren ? branchNodeClassName : leafNodeClassName;
     } else {
       return rootNodeClassName;
     }
   };
 
   render() {
-    const { nodes, links } = this.generateTree();
+    const treeLayout = this.getLayout();
+    const { stackedNodes } = treeLayout;
+    const visible = this.cullToViewport(treeLayout);
+    const exiting = this.getExitingElements(treeLayout);
+    const nodes = visible.nodes.concat(exiting.nodes);
+    const links = visible.links.concat(exiting.links);
     const {
       renderCustomNodeElement,
+      getLabel,
+      getAttributes,
       orientation,
-      pathFunc,
       transitionDuration,
       zoomable,
       nodeSize,
       depthFactor,
+      getDepthOffset,
       initialDepth,
       separation,
-      enableLegacyTransitions,
+      forestGap,
+      forestVirtualRoot,
+      startAngle,
+      endAngle,
+      innerRadius,
+      layout,
+      getNodeSize,
+      getSide,
+      sortChildren,
+      compact,
+      compactColumns,
       svgClassName,
       pathClassFunc,
+      renderer,
     } = this.props;
     const { translate, scale } = this.state.d3;
+    const getLinkPathFunc = (linkData: TreeLinkDatum) =>
+      this.getLinkPathFunc(linkData, stackedNodes);
+    const legacyTransitions = hasLegacyTransitions(this.props);
+    // Default (positional) ids are the same for every tree, so their DOM ids are made unique
+    // per instance.
+    const domIdPrefix =
+      this.props.getNodeId === Tree.defaultProps.getNodeId ? `${this.svgInstanceRef}-` : '';
+    const isCanvas = renderer === 'canvas';
+    this.canvasScene = isCanvas ? this.getCanvasScene(treeLayout) : null;
     const subscriptions = {
       ...nodeSize,
       ...separation,
       depthFactor,
+      getDepthOffset,
       initialDepth,
+      forestGap,
+      forestVirtualRoot,
+      startAngle,
+      endAngle,
+      innerRadius,
+      layout,
+      getNodeSize,
+      getSide,
+      sortChildren,
+      compact,
+      compactColumns,
     };
 
     return (
-      <div className="rd3t-tree-container rd3t-grabbable">
+      <div
+        className={`rd3t-tree-container rd3t-grabbable ${
+          isCanvas ? 'rd3t-tree-container--canvas' : ''
+        }`.trim()}
+      >
         <style>{globalCss}</style>
+        {isCanvas && (
+          <canvas
+            ref={c => {
+              this.canvasRef = c;
+            }}
+            className="rd3t-canvas"
+          />
+        )}
         <svg
           className={`rd3t-svg ${this.svgInstanceRef} ${svgClassName}`}
           width="100%"
           height="100%"
+          onClick={isCanvas ? this.handleCanvasClick : undefined}
+          onMouseMove={isCanvas ? this.handleCanvasMouseMove : undefined}
+          onMouseLeave={isCanvas ? this.handleCanvasMouseLeave : undefined}
         >
           <TransitionGroupWrapper
-            enableLegacyTransitions={enableLegacyTransitions}
+            enableLegacyTransitions={legacyTransitions}
             component="g"
             className={`rd3t-g ${this.gInstanceRef}`}
             transform={`translate(${translate.x},${translate.y}) scale(${scale})`}
           >
-            {links.map((linkData, i) => {
-              return (
-                <Link
-                  key={'link-' + i}
-                  orientation={orientation}
-                  pathFunc={pathFunc}
-                  pathClassFunc={pathClassFunc}
-                  linkData={linkData}
-                  onClick={this.handleOnLinkClickCb}
-                  onMouseOver={this.handleOnLinkMouseOverCb}
-                  onMouseOut={this.handleOnLinkMouseOutCb}
-                  enableLegacyTransitions={enableLegacyTransitions}
-                  transitionDuration={transitionDuration}
-                />
-              );
-            })}
-
-            {nodes.map((hierarchyPointNode, i) => {
-              const { data, x, y, parent } = hierarchyPointNode;
-              return (
-                <Node
-                  key={'node-' + i}
-                  data={data}
-                  position={{ x, y }}
-                  hierarchyPointNode={hierarchyPointNode}
-                  parent={parent}
-                  nodeClassName={this.getNodeClassName(parent, data)}
-                  renderCustomNodeElement={renderCustomNodeElement}
-                  nodeSize={nodeSize}
-                  orientation={orientation}
-                  enableLegacyTransitions={enableLegacyTransitions}
-                  transitionDuration={transitionDuration}
-                  onNodeToggle={this.handleNodeToggle}
-                  onNodeClick={this.handleOnNodeClickCb}
-                  onNodeMouseOver={this.handleOnNodeMouseOverCb}
-                  onNodeMouseOut={this.handleOnNodeMouseOutCb}
-                  subscriptions={subscriptions}
-                />
-              );
-            })}
+            {!isCanvas &&
+              links.map(linkData => {
+                return (
+                  <Link
+                    key={`link-${linkData.source.data.__rd3t.id}-${linkData.target.data.__rd3t.id}`}
+                    orientation={orientation}
+                    pathFunc={getLinkPathFunc(linkData)}
+                    pathClassFunc={pathClassFunc}
+                    linkData={linkData}
+                    onClick={this.handleOnLinkClickCb}
+                    onMouseOver={this.handleOnLinkMouseOverCb}
+                    onMouseOut={this.handleOnLinkMouseOutCb}
+                    enableLegacyTransitions={legacyTransitions}
+                    transitionDuration={transitionDuration}
+                  />
+                );
+              })}
+
+            {!isCanvas &&
+              nodes.map(hierarchyPointNode => {
+                const { data, x, y, parent } = hierarchyPointNode;
+                return (
+                  <Node
+                    key={`node-${data.__rd3t.id}`}
+                    data={data}
+                    domIdPrefix={domIdPrefix}
+                    position={{ x, y }}
+                    hierarchyPointNode={hierarchyPointNode}
+                    parent={parent}
+                    nodeClassName={this.getNodeClassName(parent, data)}
+                    renderCustomNodeElement={renderCustomNodeElement}
+                    getLabel={getLabel}
+                    getAttributes={getAttributes}
+                    nodeSize={nodeSize}
+                    orientation={orientation}
+                    enableLegacyTransitions={legacyTransitions}
+                    transitionDuration={transitionDuration}
+                    onNodeToggle={this.handleNodeToggle}
+                    onNodeClick={this.handleOnNodeClickCb}
+                    onNodeMouseOver={this.handleOnNodeMouseOverCb}
+                    onNodeMouseOut={this.handleOnNodeMouseOutCb}
+                    subscriptions={subscriptions}
+                  />
+                );
+              })}
           </TransitionGroupWrapper>
         </svg>
       </div>
@@ -0,0 +1,462 @@
+import {
+  cluster as d3cluster,
+  hierarchy,
+  tree as d3tree,
+  HierarchyPointLink,
+  HierarchyPointNode,
+} from 'd3-hierarchy';
+import { MindmapSide, TreeNodeDatum } from '../types/common';
+import {
+  LayoutWorkerRequest,
+  LayoutWorkerResponse,
+  SerializedTreeLayout,
+  TreeProps,
+} from './types';
+import { isHorizontal, isReversed } from '../utils/projection';
+
+const VIRTUAL_ROOT_ID = '__rd3t-virtual-root__';
+const STACK_ID_SUFFIX = '__rd3t-stack-';
+
+/**
+ * The laid out nodes & links of a tree, along with the leaves stacked below their parent
+ * in `compact` mode.
+ */
+export type TreeLayout = {
+  nodes: HierarchyPointNode<TreeNodeDatum>[];
+  links: HierarchyPointLink<TreeNodeDatum>[];
+  stackedNodes: Set<HierarchyPointNode<TreeNodeDatum>>;
+};
+
+/**
+ * The props of `Tree` which determine its layout.
+ */
+export type LayoutProps = Pick<
+  TreeProps,
+  | 'orientation'
+  | 'nodeSize'
+  | 'separation'
+  | 'depthFactor'
+  | 'getDepthOffset'
+  | 'forestGap'
+  | 'forestVirtualRoot'
+  | 'startAngle'
+  | 'endAngle'
+  | 'innerRadius'
+  | 'layout'
+  | 'compact'
+  | 'compactColumns'
+  | 'getNodeSize'
+  | 'sortChildren'
+  | 'getSide'
+>;
+
+/**
+ * Lays out the (visible) nodes of `data` according to `props`, the way `Tree` renders them.
+ *
+ * Does not depend on any mounted `Tree`, so that layouts can also be computed inside the
+ * layout worker (see `layoutInWorker`).
+ */
+export function computeLayout(data: TreeNodeDatum[], props: LayoutProps): TreeLayout {
+  const {
+    depthFactor,
+    getDepthOffset,
+    separation,
+    nodeSize,
+    getNodeSize,
+    orientation,
+    forestGap,
+    forestVirtualRoot,
+    layout,
+    sortChildren,
+    compact,
+    compactColumns,
+    getSide,
+  } = props;
+  const [breadthSize, depthSize] = isHorizontal(orientation)
+    ? [nodeSize.y, nodeSize.x]
+    : [nodeSize.x, nodeSize.y];
+  const nodeSizes = new Map<TreeNodeDatum, [number, number]>();
+  // Returns the `[breadth, depth]` reserved for a node, i.e. `nodeSize` unless `getNodeSize` is set.
+  const getDatumSize = (nodeDatum: TreeNodeDatum): [number, number] => {
+    if (!getNodeSize) {
+      return [breadthSize, depthSize];
+    }
+    if (!nodeSizes.has(nodeDatum)) {
+      const { x, y } = getNodeSize(nodeDatum);
+      nodeSizes.set(nodeDatum, isHorizontal(orientation) ? [y, x] : [x, y]);
+    }
+    return nodeSizes.get(nodeDatum);
+  };
+  // In `compact` mode, the leaf children of a node are stacked in columns below it. During the
+  // layout, each row of such a stack is represented by a placeholder node as wide as the stack.
+  const useCompact = compact && layout === 'tidy';
+  const stackPlaceholders = new Map<TreeNodeDatum, [number, number]>();
+  const getSize = (node: HierarchyPointNode<TreeNodeDatum>) =>
+    stackPlaceholders.has(node.data) ? stackPlaceholders.get(node.data) : getDatumSize(node.data);
+  const stacks = new Map<TreeNodeDatum, { leaves: TreeNodeDatum[]; columnBreadth: number }>();
+  const stackedNodes = new Set<HierarchyPointNode<TreeNodeDatum>>();
+  const getLayoutChildren = (d: TreeNodeDatum) => {
+    const children = getChildren(d);
+    const isLeaf = (child: TreeNodeDatum) =>
+      !child.hasChildren && !(child.children && child.children.length > 0);
+    // The roots of a forest are never stacked below its virtual root.
+    if (
+      !useCompact ||
+      d.__rd3t.id === VIRTUAL_ROOT_ID ||
+      !children ||
+      children.length < 2 ||
+      !children.every(isLeaf)
+    ) {
+      return children;
+    }
+    const leaves = sortChildren ? [...children].sort(sortChildren) : children;
+    const rows = Math.ceil(children.length / compactColumns);
+    const columnBreadth =
+      Math.max(...children.map(child => getDatumSize(child)[0])) *
+      (typeof separation === 'function' ? 1 : separation.siblings);
+    const stackBreadth = Math.ceil(children.length / rows) * columnBreadth;
+    let placeholder: TreeNodeDatum;
+    for (let row = rows - 1; row >= 0; row--) {
+      placeholder = {
+        name: '',
+        children: placeholder ? [placeholder] : undefined,
+        __rd3t: { id: `${d.__rd3t.id}${STACK_ID_SUFFIX}${row}`, depth: -1, collapsed: false },
+      };
+      stackPlaceholders.set(placeholder, [stackBreadth, depthSize]);
+    }
+    stacks.set(placeholder, { leaves, columnBreadth });
+    return [placeholder];
+  };
+  // Replaces the placeholders of each stack with its leaves, filling one column after another.
+  const unstack = (rootNode: HierarchyPointNode<TreeNodeDatum>) => {
+    rootNode
+      .descendants()
+      .filter(node => stacks.has(node.data))
+      .forEach(placeholderNode => {
+        const { leaves, columnBreadth } = stacks.get(placeholderNode.data);
+        const parentNode = placeholderNode.parent;
+        const rows = Math.ceil(leaves.length / compactColumns);
+        const columns = Math.ceil(leaves.length / rows);
+        parentNode.children = leaves.map((leaf, i) => {
+          const leafNode = hierarchy(leaf, () => null) as HierarchyPointNode<TreeNodeDatum>;
+          (leafNode as { depth: number }).depth = parentNode.depth + 1;
+          leafNode.parent = parentNode;
+          leafNode.x =
+            placeholderNode.x + (Math.floor(i / rows) - (columns - 1) / 2) * columnBreadth;
+          leafNode.y = placeholderNode.y + (i % rows) * depthSize;
+          stackedNodes.add(leafNode);
+          return leafNode;
+        });
+      });
+    return rootNode;
+  };
+  const useVirtualRoot = forestVirtualRoot && data.length > 1 && layout !== 'mindmap';
+  // Returns the separation of neighboring nodes `a` & `b` in multiples of their mean breadth.
+  const getSeparation = (
+    a: HierarchyPointNode<TreeNodeDatum>,
+    b: HierarchyPointNode<TreeNodeDatum>,
+    isBetweenTrees: boolean
+  ) => {
+    if (typeof separation === 'function') {
+      return separation(a, b);
+    }
+    return !isBetweenTrees && a.parent.data.__rd3t.id === b.parent.data.__rd3t.id
+      ? separation.siblings
+      : separation.nonSiblings;
+  };
+  // `cluster` aligns all leaves at the same depth, but is otherwise laid out identically.
+  // Separations are returned in px: the mean breadth of both nodes, scaled by `separation`.
+  const tree = (layout === 'cluster' ? d3cluster<TreeNodeDatum>() : d3tree<TreeNodeDatum>())
+    .nodeSize([1, depthSize])
+    .separation((a, b) => {
+      const meanBreadth = (getSize(a)[0] + getSize(b)[0]) / 2;
+      return useVirtualRoot && getForestRoot(a) !== getForestRoot(b)
+        ? meanBreadth * getSeparation(a, b, true) + forestGap
+        : meanBreadth * getSeparation(a, b, false);
+    });
+  const getChildren = (d: TreeNodeDatum) => (d.__rd3t.collapsed ? null : d.children);
+  // Builds the hierarchy of `rootDatum`, ordering siblings (except multiple roots) by `sortChildren`.
+  const buildHierarchy = (
+    rootDatum: TreeNodeDatum,
+    children: (d: TreeNodeDatum) => TreeNodeDatum[] = getLayoutChildren
+  ) => {
+    const rootNode = hierarchy(rootDatum, children);
+    return sortChildren
+      ? rootNode.sort((a, b) =>
+          a.parent.data.__rd3t.id === VIRTUAL_ROOT_ID ? 0 : sortChildren(a.data, b.data)
+        )
+      : rootNode;
+  };
+  // Nodes on the left of a `mindmap` root, which are mirrored once their depth is final.
+  const mirroredNodes = new Set<HierarchyPointNode<TreeNodeDatum>>();
+  const layoutRoot = (rootDatum: TreeNodeDatum) => {
+    const rootChildren = getChildren(rootDatum);
+    if (layout !== 'mindmap' || !rootChildren) {
+      return unstack(tree(buildHierarchy(rootDatum)));
+    }
+    // Lay out both sides of the root as separate trees, then merge the left tree into the right.
+    const [leftChildren, rightChildren] = partitionMindmapChildren(rootChildren, getSide);
+    const layoutSide = (sideChildren: TreeNodeDatum[]) =>
+      tree(buildHierarchy(rootDatum, d => (d === rootDatum ? sideChildren : getChildren(d))));
+    const rootNode = layoutSide(rightChildren);
+    const leftRootNode = layoutSide(leftChildren);
+    leftRootNode
+      .descendants()
+      .slice(1)
+      .forEach(node => mirroredNodes.add(node));
+    const leftNodes = leftRootNode.children || [];
+    leftNodes.forEach(node => {
+      node.parent = rootNode;
+    });
+    const mergedChildren = (rootNode.children || []).concat(leftNodes);
+    rootNode.children = mergedChildren.length > 0 ? mergedChildren : undefined;
+    return rootNode;
+  };
+
+  let nodes: HierarchyPointNode<TreeNodeDatum>[] = [];
+  let links: HierarchyPointLink<TreeNodeDatum>[] = [];
+  if (layout === 'indented') {
+    // Give every visible node its own row, in the order of a depth-first traversal.
+    let prevNode: HierarchyPointNode<TreeNodeDatum>;
+    data.forEach(rootDatum => {
+      const rootNode = buildHierarchy(rootDatum) as HierarchyPointNode<TreeNodeDatum>;
+      rootNode.eachBefore(node => {
+        node.x =
+          prevNode === undefined
+            ? 0
+            : prevNode.x +
+              (getSize(prevNode)[0] + getSize(node)[0]) / 2 +
+              (node === rootNode ? forestGap : 0);
+        node.y = node.depth * depthSize;
+        prevNode = node;
+      });
+      nodes = nodes.concat(rootNode.descendants());
+      links = links.concat(rootNode.links());
+    });
+  } else if (useVirtualRoot) {
+    // Lay out all roots as children of a hidden super-root, then drop it and move every
+    // node up by one level.
+    const virtualRoot = unstack(
+      tree(
+        buildHierarchy({
+          name: '',
+          children: data,
+          __rd3t: { id: VIRTUAL_ROOT_ID, depth: -1, collapsed: false },
+        })
+      )
+    );
+    links = virtualRoot.links().filter(link => link.source !== virtualRoot);
+    nodes = virtualRoot.descendants().slice(1);
+    nodes.forEach(node => {
+      (node as { depth: number }).depth -= 1;
+      node.y -= depthSize;
+    });
+    virtualRoot.children.forEach(rootNode => {
+      rootNode.parent = null;
+    });
+  } else {
+    // Lay out each root on its own and place the resulting trees next to each other along
+    // the breadth axis, `forestGap` apart.
+    let prevMaxNode: HierarchyPointNode<TreeNodeDatum>;
+    data.forEach(rootDatum => {
+      const rootNode = layoutRoot(rootDatum);
+      const treeNodes = rootNode.descendants();
+      const minNode = treeNodes.reduce((min, node) => (node.x < min.x ? node : min));
+      const maxNode = treeNodes.reduce((max, node) => (node.x > max.x ? node : max));
+      const offset =
+        prevMaxNode === undefined
+          ? 0
+          : prevMaxNode.x +
+            ((getSize(prevMaxNode)[0] + getSize(minNode)[0]) / 2) *
+              getSeparation(prevMaxNode, minNode, true) +
+            forestGap -
+            minNode.x;
+      treeNodes.forEach(node => {
+        node.x += offset;
+      });
+      prevMaxNode = maxNode;
+      nodes = nodes.concat(treeNodes);
+      links = links.concat(rootNode.links());
+    });
+  }
+
+  // Leaves of a `cluster` & stacked leaves are not placed at the level matching their depth.
+  const getLevel = (node: HierarchyPointNode<TreeNodeDatum>) =>
+    layout === 'cluster' || stackedNodes.has(node) ? Math.round(node.y / depthSize) : node.depth;
+  if (getDepthOffset) {
+    nodes.forEach(node => {
+      node.y = resolveDepthOffset(getDepthOffset, getLevel(node), node, depthSize);
+    });
+  } else if (depthFactor) {
+    nodes.forEach(node => {
+      node.y = getLevel(node) * depthFactor;
+    });
+  } else if (getNodeSize) {
+    fitLevelsToNodeSizes(nodes, depthSize, node => getSize(node)[1]);
+  }
+
+  mirroredNodes.forEach(node => {
+    node.y = 0 - node.y;
+  });
+
+  if (isReversed(orientation)) {
+    nodes.forEach(node => {
+      // Subtracting from `0` keeps the root at `0` rather than `-0`.
+      node.y = 0 - node.y;
+    });
+  }
+
+  if (orientation === 'radial') {
+    mapToRadialCoordinates(nodes, node => getSize(node)[0], props);
+  }
+
+  return { nodes, links, stackedNodes };
+}
+
+/**
+ * Returns the offset of `depth` from the root as defined by `getDepthOffset`.
+ * Levels beyond an array of offsets continue with the spacing between its last two entries, or
+ * are spaced by `depthSize` if it has fewer.
+ */
+function resolveDepthOffset(
+  getDepthOffset: LayoutProps['getDepthOffset'],
+  depth: number,
+  node: HierarchyPointNode<TreeNodeDatum>,
+  depthSize: number
+) {
+  if (typeof getDepthOffset === 'function') {
+    return getDepthOffset(depth, node);
+  }
+  if (getDepthOffset.length === 0) {
+    return depth * depthSize;
+  }
+  if (depth < getDepthOffset.length) {
+    return getDepthOffset[depth];
+  }
+  const last = getDepthOffset.length - 1;
+  const spacing = last > 0 ? getDepthOffset[last] - getDepthOffset[last - 1] : depthSize;
+  return getDepthOffset[last] + (depth - last) * spacing;
+}
+
+/**
+ * Splits the children of a `mindmap` root into those placed on its left & on its right.
+ * Unless `getSide` is defined, the sides are balanced by the total number of nodes in each
+ * child's subtree.
+ */
+function partitionMindmapChildren(
+  children: TreeNodeDatum[],
+  getSide: LayoutProps['getSide']
+): [TreeNodeDatum[], TreeNodeDatum[]] {
+  let sides: MindmapSide[];
+  if (typeof getSide === 'function') {
+    sides = children.map(child => getSide(child));
+  } else {
+    const subtreeSizes = children.map(countNodes);
+    const sideSizes = { left: 0, right: 0 };
+    sides = [];
+    // Assign the largest subtrees first, each to the side which currently has fewer nodes.
+    children
+      .map((child, i) => i)
+      .sort((a, b) => subtreeSizes[b] - subtreeSizes[a])
+      .forEach(i => {
+        const side = sideSizes.left < sideSizes.right ? 'left' : 'right';
+        sides[i] = side;
+        sideSizes[side] += subtreeSizes[i];
+      });
+  }
+  return [
+    children.filter((child, i) => sides[i] === 'left'),
+    children.filter((child, i) => sides[i] !== 'left'),
+  ];
+}
+
+/**
+ * Counts `nodeDatum` and all of its descendants, including collapsed ones.
+ */
+function countNodes(nodeDatum: TreeNodeDatum): number {
+  return (nodeDatum.children || []).reduce((count, child) => count + countNodes(child), 1);
+}
+
+/**
+ * Spaces the levels of the laid out `nodes` (which are `depthSize` apart) so that each level
+ * is as deep as the deepest of its nodes, as determined by `getDepth`.
+ */
+function fitLevelsToNodeSizes(
+  nodes: HierarchyPointNode<TreeNodeDatum>[],
+  depthSize: number,
+  getDepth: (node: HierarchyPointNode<TreeNodeDatum>) => number
+) {
+  const levels = nodes.map(node => Math.round(node.y / depthSize));
+  const levelDepths: number[] = [];
+  nodes.forEach((node, i) => {
+    levelDepths[levels[i]] = Math.max(levelDepths[levels[i]] || 0, getDepth(node));
+  });
+  const levelOffsets = [0];
+  for (let level = 1; level < levelDepths.length; level++) {
+    levelOffsets[level] =
+      levelOffsets[level - 1] + ((levelDepths[level - 1] || 0) + (levelDepths[level] || 0)) / 2;
+  }
+  nodes.forEach((node, i) => {
+    node.y = levelOffsets[levels[i]];
+  });
+}
+
+/**
+ * Converts the laid out `nodes` of a `radial` tree into polar coordinates: their breadth
+ * (`x`) is mapped onto the angles between `startAngle` & `endAngle`, their depth (`y`)
+ * becomes the distance from the center, offset by `innerRadius`.
+ *
+ * Half of the outermost nodes' breadth is kept free at either end of the angle range,
+ * so that they do not overlap in a full circle.
+ */
+function mapToRadialCoordinates(
+  nodes: HierarchyPointNode<TreeNodeDatum>[],
+  getBreadth: (node: HierarchyPointNode<TreeNodeDatum>) => number,
+  { startAngle, endAngle, innerRadius }: LayoutProps
+) {
+  const minX = nodes.reduce((min, node) => Math.min(min, node.x - getBreadth(node) / 2), Infinity);
+  const maxX = nodes.reduce((max, node) => Math.max(max, node.x + getBreadth(node) / 2), -Infinity);
+  const anglePerUnit = (endAngle - startAngle) / (maxX - minX);
+  nodes.forEach(node => {
+    node.x = startAngle + (node.x - minX) * anglePerUnit;
+    node.y += innerRadius;
+  });
+}
+
+/**
+ * Returns the top-level root (i.e. the child of the virtual forest root) `node` belongs to.
+ */
+function getForestRoot(node: HierarchyPointNode<TreeNodeDatum>) {
+  while (node.depth > 1) {
+    node = node.parent;
+  }
+  return node;
+}
+
+/**
+ * Converts a layout into a `SerializedTreeLayout`, which can be passed between threads.
+ */
+export function serializeLayout({ nodes, stackedNodes }: TreeLayout): SerializedTreeLayout {
+  return {
+    nodes: nodes.map(node => ({
+      id: node.data.__rd3t.id,
+      parentId: node.parent ? node.parent.data.__rd3t.id : null,
+      depth: node.depth,
+      x: node.x,
+      y: node.y,
+    })),
+    stackedIds: Array.from(stackedNodes).map(node => node.data.__rd3t.id),
+  };
+}
+
+/**
+ * Lays out `data` according to the layout `props` of a `LayoutWorkerRequest`.
+ * Used by the layout worker (see `layoutInWorker`).
+ */
+export function handleLayoutRequest({
+  requestId,
+  data,
+  props,
+}: LayoutWorkerRequest): LayoutWorkerResponse {
+  return { requestId, layout: serializeLayout(computeLayout(data, props as LayoutProps)) };
+}
@@ -0,0 +1,10 @@
+import { handleLayoutRequest } from './layout';
+import { LayoutWorkerRequest } from './types';
+
+// Entry point of the Web Worker used by the `layoutInWorker` prop of `Tree`, which is created
+// via its `createLayoutWorker` prop.
+const ctx = (self as unknown) as Worker;
+
+ctx.onmessage = (evt: MessageEvent) => {
+  ctx.postMessage(handleLayoutRequest(evt.data as LayoutWorkerRequest));
+};
@@ -0,0 +1,101 @@
+import { EASINGS, LayoutAnimation, interpolateFrame } from '../animation.ts';
+
+const frameOf = states => new Map(Object.entries(states));
+
+describe('interpolateFrame', () => {
+  it('interpolates the position & opacity of every node in the target frame', () => {
+    const from = frameOf({ a: { x: 0, y: 0, opacity: 0 }, b: { x: 10, y: 10, opacity: 1 } });
+    const to = frameOf({ a: { x: 10, y: 20, opacity: 1 }, c: { x: 5, y: 5, opacity: 1 } });
+    expect(interpolateFrame(from, to, 0.5)).toEqual(
+      frameOf({ a: { x: 5, y: 10, opacity: 0.5 }, c: { x: 5, y: 5, opacity: 1 } })
+    );
+  });
+});
+
+describe('EASINGS', () => {
+  it('start at 0 & end at 1', () => {
+    Object.values(EASINGS).forEach(easing => {
+      expect(easing(0)).toBe(0);
+      expect(easing(1)).toBe(1);
+    });
+  });
+
+  it('ease in slowly & out quickly (or vice versa)', () => {
+    expect(EASINGS.linear(0.25)).toBe(0.25);
+    expect(EASINGS['ease-in'](0.25)).toBeLessThan(0.25);
+    expect(EASINGS['ease-out'](0.25)).toBeGreaterThan(0.25);
+    expect(EASINGS['ease-in-out'](0.25)).toBeLessThan(0.25);
+    expect(EASINGS['ease-in-out'](0.75)).toBeGreaterThan(0.75);
+  });
+});
+
+describe('LayoutAnimation', () => {
+  let frameCallbacks;
+  const runFrame = time => {
+    const callbacks = frameCallbacks;
+    frameCallbacks = [];
+    callbacks.forEach(callback => callback(time));
+  };
+
+  beforeEach(() => {
+    frameCallbacks = [];
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => {
+      frameCallbacks.push(callback);
+      return frameCallbacks.length;
+    });
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {
+      frameCallbacks = [];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const from = frameOf({ a: { x: 0, y: 0, opacity: 0 } });
+  const to = frameOf({ a: { x: 100, y: 0, opacity: 1 } });
+
+  it('displays the first frame right away & the last one after `duration`', () => {
+    const onFrame = jest.fn();
+    const onEnd = jest.fn();
+    const animation = new LayoutAnimation(onFrame, onEnd);
+    animation.start(from, to, 100, EASINGS.linear);
+    expect(onFrame).toHaveBeenLastCalledWith(from);
+    expect(animation.isRunning).toBe(true);
+
+    runFrame(1000);
+    runFrame(1050);
+    expect(onFrame).toHaveBeenLastCalledWith(frameOf({ a: { x: 50, y: 0, opacity: 0.5 } }));
+    expect(onEnd).not.toHaveBeenCalled();
+
+    runFrame(1200);
+    expect(onFrame).toHaveBeenLastCalledWith(to);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(animation.isRunning).toBe(false);
+    expect(animation.frame).toEqual(to);
+  });
+
+  it('applies `easing` to the elapsed time', () => {
+    const onFrame = jest.fn();
+    const easing = jest.fn(t => t * t);
+    const animation = new LayoutAnimation(onFrame, () => {});
+    animation.start(from, to, 100, easing);
+    runFrame(0);
+    runFrame(50);
+    expect(easing).toHaveBeenLastCalledWith(0.5);
+    expect(animation.frame.get('a').x).toBe(25);
+  });
+
+  it('keeps the displayed frame when stopped', () => {
+    const animation = new LayoutAnimation(
+      () => {},
+      () => {}
+    );
+    animation.start(from, to, 100, EASINGS.linear);
+    runFrame(0);
+    runFrame(25);
+    animation.stop();
+    expect(animation.isRunning).toBe(false);
+    expect(animation.frame.get('a').x).toBe(25);
+  });
+});
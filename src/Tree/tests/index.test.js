@@ -2,11 +2,15 @@
 import React from 'react';
 import { shallow, mount } from 'enzyme';
 import { render } from 'react-dom';
+import { zoomIdentity } from 'd3-zoom';
+import clone from 'clone';
 
 import TransitionGroupWrapper from '../TransitionGroupWrapper.tsx';
 import Node from '../../Node/index.tsx';
 import Link from '../../Link/index.tsx';
 import Tree from '../index.tsx';
+import { handleLayoutRequest } from '../layout.ts';
+import { sortBy } from '../../utils/sortBy.ts';
 import { mockData, mockData2, mockData4, mockTree_D1N2_D2N2 } from './mockData';
 
 describe('<Tree />', () => {
@@ -121,6 +125,117 @@ describe('<Tree />', () => {
     });
   });
 
+  describe('accessors', () => {
+    const domainData = {
+      title: 'Root',
+      meta: { owner: 'Alice' },
+      items: [
+        { title: 'Child A', items: [{ title: 'Grandchild A' }] },
+        { title: 'Child B', meta: { owner: 'Bob' } },
+      ],
+    };
+    const accessorProps = {
+      getChildren: datum => datum.items,
+      getLabel: datum => datum.title,
+      getAttributes: datum => datum.meta,
+    };
+
+    it('builds the layout from the children returned by `getChildren`', () => {
+      const renderedComponent = shallow(<Tree data={domainData} {...accessorProps} />);
+      expect(renderedComponent.find(Node).length).toBe(4);
+      expect(renderedComponent.find(Link).length).toBe(3);
+    });
+
+    it('renders default node labels via `getLabel` & `getAttributes`', () => {
+      const renderedComponent = mount(<Tree data={domainData} {...accessorProps} />);
+      const rootNode = renderedComponent.find(Node).first();
+      expect(rootNode.find('.rd3t-label__title').text()).toBe('Root');
+      expect(rootNode.find('.rd3t-label__attributes').text()).toBe('owner: Alice');
+    });
+
+    it('collapses nodes based on the children returned by `getChildren`', () => {
+      const renderedComponent = mount(<Tree data={domainData} {...accessorProps} />);
+      renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').title === 'Child A')
+        .find('circle')
+        .simulate('click');
+      expect(renderedComponent.find(Node).length).toBe(3);
+    });
+
+    it('ignores unrelated `children` fields of nodes without children via `getChildren`', () => {
+      const renderedComponent = mount(
+        <Tree
+          data={{ title: 'Root', items: [{ title: 'A', children: ['x', 'y'] }] }}
+          {...accessorProps}
+        />
+      );
+      expect(renderedComponent.find(Node).map(n => n.prop('data').title)).toEqual(['Root', 'A']);
+      expect(
+        renderedComponent
+          .find(Node)
+          .last()
+          .prop('data').children
+      ).toBeUndefined();
+    });
+
+    it('rebuilds the tree if `getChildren` or `getNodeId` change', () => {
+      const renderedComponent = mount(<Tree data={domainData} {...accessorProps} />);
+      renderedComponent.setProps({ getChildren: datum => datum.items && datum.items.slice(0, 1) });
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).map(n => n.prop('data').title)).toEqual([
+        'Root',
+        'Child A',
+        'Grandchild A',
+      ]);
+
+      renderedComponent.setProps({ getNodeId: datum => datum.title });
+      renderedComponent.update();
+      expect(renderedComponent.state('nodePaths').get('Grandchild A')).toEqual([0, 0, 0]);
+      expect(renderedComponent.find(Node).map(n => n.prop('data').__rd3t.id)).toEqual([
+        'Root',
+        'Child A',
+        'Grandchild A',
+      ]);
+    });
+
+    it('keeps collapse state & warns once if `getNodeId` is re-created on every render', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const renderedComponent = mount(
+        <Tree data={domainData} {...accessorProps} getNodeId={datum => datum.title} />
+      );
+      renderedComponent.instance().toggleNode('Child A');
+      renderedComponent.setProps({ getNodeId: datum => datum.title, zoom: 0.9 });
+      renderedComponent.setProps({ getNodeId: datum => datum.title, zoom: 0.8 });
+
+      expect(Tree.getCollapsedIds(renderedComponent.state('data'))).toEqual([
+        'Child A',
+        'Grandchild A',
+      ]);
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+      expect(warnSpy.mock.calls[0][0]).toContain('`getNodeId` is re-created on every render');
+      warnSpy.mockRestore();
+    });
+
+    it('passes the original node fields to event handlers', () => {
+      const onNodeClickSpy = jest.fn();
+      const renderedComponent = mount(
+        <Tree data={domainData} {...accessorProps} onNodeClick={onNodeClickSpy} />
+      );
+      renderedComponent
+        .find(Node)
+        .first()
+        .find('circle')
+        .simulate('click');
+      expect(onNodeClickSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ title: 'Root', meta: { owner: 'Alice' } }),
+        }),
+        expect.anything()
+      );
+    });
+  });
+
   describe('collapsible', () => {
     it("collapses a node's children when it is clicked in an expanded state", () => {
       const renderedComponent = mount(<Tree data={mockData4} />);
@@ -208,6 +323,376 @@ describe('<Tree />', () => {
     });
   });
 
+  describe('collapse state', () => {
+    const copyData = data => JSON.parse(JSON.stringify(data));
+    const findNodeByName = (renderedComponent, name) =>
+      renderedComponent.find(Node).filterWhere(n => n.prop('data').name === name);
+
+    it('assigns ids based on the position of each node in the hierarchy', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      expect(renderedComponent.find(Node).map(n => n.prop('data').__rd3t.id)).toEqual([
+        '0',
+        '0-0',
+        '0-1',
+        '0-0-0',
+        '0-0-1',
+      ]);
+    });
+
+    it('assigns ids returned by `getNodeId` if specified', () => {
+      const getNodeId = jest.fn(datum => datum.name);
+      const renderedComponent = mount(<Tree data={mockData2} getNodeId={getNodeId} />);
+
+      expect(getNodeId).toHaveBeenCalledWith(expect.objectContaining({ name: 'Top Level' }), [0]);
+      expect(getNodeId).toHaveBeenCalledWith(expect.objectContaining({ name: 'Level 2: A' }), [
+        0,
+        0,
+      ]);
+      expect(
+        renderedComponent
+          .find(Node)
+          .last()
+          .find('g')
+          .first()
+          .prop('id')
+      ).toBe('Level 2: A');
+      expect(renderedComponent.find('path').prop('data-source-id')).toBe('Top Level');
+      expect(renderedComponent.find('path').prop('data-target-id')).toBe('Level 2: A');
+    });
+
+    it('scopes the DOM ids of default ids to each tree', () => {
+      const nodeElementIds = renderedComponent =>
+        renderedComponent.find(Node).map(node =>
+          node
+            .find('g')
+            .first()
+            .prop('id')
+        );
+      const treeA = mount(<Tree data={mockData2} />);
+      const treeB = mount(<Tree data={mockData2} />);
+
+      expect(treeA.find('g[data-id="0"]').prop('id')).toBe(`${treeA.instance().svgInstanceRef}-0`);
+      expect(nodeElementIds(treeA)).toEqual([
+        `${treeA.instance().svgInstanceRef}-0`,
+        `${treeA.instance().svgInstanceRef}-0-0`,
+      ]);
+      expect(nodeElementIds(treeB)).not.toContain(nodeElementIds(treeA)[0]);
+    });
+
+    it('keys <Node /> and <Link /> elements by node id', () => {
+      const renderedComponent = shallow(<Tree data={mockData2} getNodeId={datum => datum.name} />);
+      expect(renderedComponent.find(Node).map(n => n.key())).toEqual([
+        'node-Top Level',
+        'node-Level 2: A',
+      ]);
+      expect(renderedComponent.find(Link).key()).toBe('link-Top Level-Level 2: A');
+    });
+
+    it('re-uses the <Node /> instances of nodes which remain visible across toggles', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} initialDepth={1} />);
+      const nodeInstance = findNodeByName(renderedComponent, 'Level 2: B').instance();
+      renderedComponent.instance().toggleNode('0-0');
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(5);
+      expect(findNodeByName(renderedComponent, 'Level 2: B').instance()).toBe(nodeInstance);
+    });
+
+    it('only re-renders the <Node /> elements whose datum or position changed', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      const renderSpy = jest.spyOn(Node.prototype, 'render');
+      renderedComponent.instance().toggleNode('0-1');
+      renderedComponent.update();
+      // The toggled node & its (copied) ancestor.
+      expect(renderSpy.mock.instances.map(node => node.props.data.__rd3t.id)).toEqual(['0', '0-1']);
+      expect(findNodeByName(renderedComponent, 'Level 2: B').prop('data').__rd3t.collapsed).toBe(
+        true
+      );
+      renderSpy.mockRestore();
+    });
+
+    it('preserves collapsed nodes across `data` updates if uncontrolled & `getNodeId` is set', () => {
+      const renderedComponent = mount(
+        <Tree data={copyData(mockTree_D1N2_D2N2)} getNodeId={datum => datum.name} />
+      );
+      findNodeByName(renderedComponent, 'Level 2: A')
+        .find('circle')
+        .simulate('click'); // collapse
+      expect(renderedComponent.find(Node).length).toBe(3);
+
+      const nextData = copyData(mockTree_D1N2_D2N2);
+      nextData[0].children.unshift({ name: 'Level 2: C' });
+      renderedComponent.setProps({ data: nextData });
+      expect(renderedComponent.find(Node).length).toBe(4);
+      expect(findNodeByName(renderedComponent, 'Level 2: A').prop('data').__rd3t.collapsed).toBe(
+        true
+      );
+    });
+
+    it('applies `initialDepth` only to new nodes on `data` updates if `getNodeId` is set', () => {
+      const renderedComponent = mount(
+        <Tree
+          data={copyData(mockTree_D1N2_D2N2)}
+          initialDepth={1}
+          getNodeId={datum => datum.name}
+        />
+      );
+      findNodeByName(renderedComponent, 'Level 2: A')
+        .find('circle')
+        .simulate('click'); // expand
+      expect(renderedComponent.find(Node).length).toBe(5);
+
+      const nextData = copyData(mockTree_D1N2_D2N2);
+      nextData[0].children[1].children = [{ name: '3: Son of B' }];
+      renderedComponent.setProps({ data: nextData });
+      expect(renderedComponent.find(Node).length).toBe(5);
+      expect(findNodeByName(renderedComponent, 'Level 2: B').prop('data').__rd3t.collapsed).toBe(
+        true
+      );
+    });
+
+    it('treats replaced `data` as a new dataset if uncontrolled & `getNodeId` is not set', () => {
+      const renderedComponent = mount(
+        <Tree data={copyData(mockTree_D1N2_D2N2)} initialDepth={1} />
+      );
+      findNodeByName(renderedComponent, 'Level 2: A')
+        .find('circle')
+        .simulate('click'); // expand
+      expect(renderedComponent.find(Node).length).toBe(5);
+
+      renderedComponent.setProps({
+        data: {
+          name: 'Other Root',
+          children: [{ name: 'Other A', children: [{ name: 'Other A1' }] }],
+        },
+      });
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).map(n => n.prop('data').name)).toEqual([
+        'Other Root',
+        'Other A',
+      ]);
+      expect(renderedComponent.state('isInitialRenderForDataset')).toBe(false);
+    });
+
+    it('renders nodes in `collapsedIds` as collapsed if controlled', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} collapsedIds={['0-0']} />);
+      expect(renderedComponent.find(Node).length).toBe(3);
+      renderedComponent.setProps({ collapsedIds: [] });
+      expect(renderedComponent.find(Node).length).toBe(5);
+    });
+
+    it('calls `onCollapsedChange` instead of toggling the node itself if controlled', () => {
+      const onCollapsedChangeSpy = jest.fn();
+      const renderedComponent = mount(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          collapsedIds={[]}
+          onCollapsedChange={onCollapsedChangeSpy}
+        />
+      );
+      findNodeByName(renderedComponent, 'Level 2: A')
+        .find('circle')
+        .simulate('click');
+
+      expect(onCollapsedChangeSpy).toHaveBeenCalledWith(
+        ['0-0', '0-0-0', '0-0-1'],
+        expect.objectContaining({ name: 'Level 2: A' })
+      );
+      expect(renderedComponent.find(Node).length).toBe(5);
+    });
+
+    it('calls `onCollapsedChange` if uncontrolled', () => {
+      const onCollapsedChangeSpy = jest.fn();
+      const renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} onCollapsedChange={onCollapsedChangeSpy} />
+      );
+      renderedComponent.instance().collapseAll();
+      renderedComponent.update();
+
+      expect(onCollapsedChangeSpy).toHaveBeenCalledWith(
+        ['0', '0-0', '0-0-0', '0-0-1', '0-1'],
+        null
+      );
+      expect(renderedComponent.find(Node).length).toBe(1);
+    });
+
+    it('keeps applying `collapsedIds` when `data` changes if controlled', () => {
+      const renderedComponent = mount(
+        <Tree data={copyData(mockTree_D1N2_D2N2)} collapsedIds={['0-0']} />
+      );
+      renderedComponent.setProps({ data: copyData(mockTree_D1N2_D2N2) });
+      expect(renderedComponent.find(Node).length).toBe(3);
+    });
+  });
+
+  describe('loadChildren', () => {
+    const lazyData = {
+      name: 'Root',
+      children: [{ name: 'Lazy', hasChildren: true }, { name: 'Leaf' }],
+    };
+    // Resolves once the most recent call to `loadNodeChildren` has settled.
+    const loadingSettled = () => Tree.prototype.loadNodeChildren.mock.results.slice(-1)[0].value;
+    const clickNode = (renderedComponent, name) =>
+      renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === name)
+        .find('circle')
+        .simulate('click');
+
+    jest.spyOn(Tree.prototype, 'loadNodeChildren');
+
+    it('loads & merges the children of `hasChildren` nodes when they are expanded', async () => {
+      const loadChildren = jest.fn(() =>
+        Promise.resolve([{ name: 'Loaded A' }, { name: 'Loaded B' }])
+      );
+      const renderedComponent = mount(<Tree data={lazyData} loadChildren={loadChildren} />);
+      clickNode(renderedComponent, 'Lazy');
+
+      expect(loadChildren).toHaveBeenCalledWith(expect.objectContaining({ name: 'Lazy' }));
+      renderedComponent.update();
+      expect(
+        renderedComponent
+          .find(Node)
+          .filterWhere(n => n.prop('data').name === 'Lazy')
+          .prop('data').__rd3t.loading
+      ).toBe(true);
+
+      await loadingSettled();
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).map(n => n.prop('data').__rd3t.id)).toEqual([
+        '0',
+        '0-0',
+        '0-1',
+        '0-0-0',
+        '0-0-1',
+      ]);
+      expect(renderedComponent.state('nodePaths').get('0-0-1')).toEqual([0, 0, 1]);
+    });
+
+    it('does not load children again while they are loading', () => {
+      const loadChildren = jest.fn(() => new Promise(() => {}));
+      const renderedComponent = mount(<Tree data={lazyData} loadChildren={loadChildren} />);
+      clickNode(renderedComponent, 'Lazy');
+      renderedComponent.update();
+      clickNode(renderedComponent, 'Lazy');
+      expect(loadChildren).toHaveBeenCalledTimes(1);
+    });
+
+    it('toggles nodes with loaded children as usual', async () => {
+      const loadChildren = jest.fn(() => Promise.resolve([{ name: 'Loaded' }]));
+      const renderedComponent = mount(<Tree data={lazyData} loadChildren={loadChildren} />);
+      clickNode(renderedComponent, 'Lazy');
+      await loadingSettled();
+      renderedComponent.update();
+      clickNode(renderedComponent, 'Lazy');
+      expect(renderedComponent.find(Node).length).toBe(3);
+      expect(loadChildren).toHaveBeenCalledTimes(1);
+    });
+
+    it('flags failed nodes & passes the error and a `retry` function to `onLoadError`', async () => {
+      const error = new Error('Request failed');
+      const loadChildren = jest
+        .fn()
+        .mockReturnValueOnce(Promise.reject(error))
+        .mockReturnValueOnce(Promise.resolve([{ name: 'Loaded' }]));
+      const onLoadError = jest.fn();
+      const renderedComponent = mount(
+        <Tree data={lazyData} loadChildren={loadChildren} onLoadError={onLoadError} />
+      );
+      clickNode(renderedComponent, 'Lazy');
+      await loadingSettled();
+      renderedComponent.update();
+
+      const lazyNode = renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === 'Lazy');
+      expect(lazyNode.prop('data').__rd3t.loadError).toBe(error);
+      expect(lazyNode.find('g.rd3t-node--error').length).toBe(1);
+      expect(onLoadError).toHaveBeenCalledWith(
+        error,
+        expect.objectContaining({ name: 'Lazy' }),
+        expect.any(Function)
+      );
+
+      await onLoadError.mock.calls[0][2]();
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(4);
+    });
+
+    it('treats an empty result as a node without children', async () => {
+      const loadChildren = jest.fn(() => Promise.resolve(null));
+      const onLoadError = jest.fn();
+      const renderedComponent = mount(
+        <Tree data={lazyData} loadChildren={loadChildren} onLoadError={onLoadError} />
+      );
+      clickNode(renderedComponent, 'Lazy');
+      await loadingSettled();
+      renderedComponent.update();
+
+      const lazyNode = renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === 'Lazy');
+      expect(lazyNode.prop('data').children).toEqual([]);
+      expect(lazyNode.prop('data').__rd3t.loading).toBe(false);
+      expect(onLoadError).not.toHaveBeenCalled();
+    });
+
+    it('reports children which cannot be merged via `onLoadError`', async () => {
+      const error = new Error('Missing id');
+      const loadChildren = jest.fn(() => Promise.resolve([{ name: 'Loaded' }]));
+      const onLoadError = jest.fn();
+      const renderedComponent = mount(
+        <Tree
+          data={lazyData}
+          loadChildren={loadChildren}
+          onLoadError={onLoadError}
+          getNodeId={(datum, path) => {
+            if (datum.name === 'Loaded') {
+              throw error;
+            }
+            return path.join('-');
+          }}
+        />
+      );
+      clickNode(renderedComponent, 'Lazy');
+      await loadingSettled();
+      renderedComponent.update();
+
+      const lazyNode = renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === 'Lazy');
+      expect(lazyNode.prop('data').__rd3t.loadError).toBe(error);
+      expect(onLoadError).toHaveBeenCalledWith(
+        error,
+        expect.objectContaining({ name: 'Lazy' }),
+        expect.any(Function)
+      );
+    });
+
+    it('leaves expanding loaded nodes to the parent if `collapsedIds` is set', async () => {
+      const loadChildren = jest.fn(() => Promise.resolve([{ name: 'Loaded' }]));
+      const onCollapsedChange = jest.fn();
+      const renderedComponent = mount(
+        <Tree
+          data={lazyData}
+          loadChildren={loadChildren}
+          collapsedIds={['0-0']}
+          onCollapsedChange={onCollapsedChange}
+        />
+      );
+      clickNode(renderedComponent, 'Lazy');
+      await loadingSettled();
+      renderedComponent.update();
+
+      expect(onCollapsedChange).toHaveBeenCalledWith([], expect.objectContaining({ name: 'Lazy' }));
+      expect(renderedComponent.find(Node).length).toBe(3);
+
+      renderedComponent.setProps({ collapsedIds: [] });
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(4);
+      expect(loadChildren).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('shouldCollapseNeighborNodes', () => {
     it('is inactive by default', () => {
       const renderedComponent = mount(<Tree data={mockData} />);
@@ -242,6 +727,293 @@ describe('<Tree />', () => {
     });
   });
 
+  describe('enableAnimations', () => {
+    let container;
+    let renderedComponent;
+    let frameCallbacks;
+    const runFrame = time => {
+      const callbacks = frameCallbacks;
+      frameCallbacks = [];
+      callbacks.forEach(callback => callback(time));
+    };
+
+    beforeEach(() => {
+      frameCallbacks = [];
+      jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => {
+        frameCallbacks.push(callback);
+        return frameCallbacks.length;
+      });
+      jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {
+        frameCallbacks = [];
+      });
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      // jsdom does not implement `SVGAnimatedLength`, which d3-zoom reads to determine the viewport.
+      Object.defineProperty(SVGSVGElement.prototype, 'width', {
+        value: { baseVal: { value: 500 } },
+        configurable: true,
+      });
+      Object.defineProperty(SVGSVGElement.prototype, 'height', {
+        value: { baseVal: { value: 400 } },
+        configurable: true,
+      });
+    });
+
+    afterEach(() => {
+      renderedComponent && renderedComponent.unmount();
+      renderedComponent = null;
+      delete SVGSVGElement.prototype.width;
+      delete SVGSVGElement.prototype.height;
+      document.body.removeChild(container);
+      window.requestAnimationFrame.mockRestore();
+      window.cancelAnimationFrame.mockRestore();
+    });
+
+    const mountTree = props => {
+      renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} enableAnimations transitionDuration={100} {...props} />,
+        { attachTo: container }
+      );
+      return renderedComponent;
+    };
+    const toggle = nodeId => {
+      renderedComponent.instance().toggleNode(nodeId);
+      renderedComponent.update();
+    };
+    const getNodeElement = nodeId => container.querySelector(`g[data-id="${nodeId}"]`);
+    const getLinkElement = targetId =>
+      container.querySelector(`path[data-target-id="${targetId}"]`);
+    // The transform of the node `nodeId` at its position in the current layout.
+    const getLayoutTransform = nodeId => {
+      const { x, y } = renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').__rd3t.id === nodeId)
+        .prop('position');
+      return `translate(${y},${x})`;
+    };
+
+    const parseTranslate = transform => transform.match(/-?[\d.]+/g).map(Number);
+
+    it('does not animate the initial layout', () => {
+      mountTree();
+      expect(frameCallbacks).toHaveLength(0);
+      expect(getNodeElement('0-0-0').getAttribute('transform')).toBe(getLayoutTransform('0-0-0'));
+    });
+
+    it('animates entering nodes & links from the position of their parent', () => {
+      mountTree({ initialDepth: 1 });
+      const parentTransform = getLayoutTransform('0-0');
+      toggle('0-0');
+
+      expect(getNodeElement('0-0-0').getAttribute('transform')).toBe(parentTransform);
+      expect(getNodeElement('0-0-0').style.opacity).toBe('0');
+      expect(getLinkElement('0-0-0').style.opacity).toBe('0');
+
+      runFrame(0);
+      runFrame(50);
+      expect(getNodeElement('0-0-0').getAttribute('transform')).not.toBe(parentTransform);
+      expect(Number(getNodeElement('0-0-0').style.opacity)).toBeGreaterThan(0);
+
+      runFrame(100);
+      expect(getNodeElement('0-0-0').getAttribute('transform')).toBe(getLayoutTransform('0-0-0'));
+      expect(getNodeElement('0-0-0').style.opacity).toBe('1');
+      expect(getLinkElement('0-0-0').getAttribute('d')).toBe(
+        renderedComponent
+          .find(Link)
+          .filterWhere(l => l.prop('linkData').target.data.__rd3t.id === '0-0-0')
+          .instance()
+          .drawPath()
+      );
+    });
+
+    it('animates the links of moving nodes along with them', () => {
+      mountTree();
+      const prevPath = getLinkElement('0-1').getAttribute('d');
+      renderedComponent.setProps({ nodeSize: { x: 280, y: 280 } });
+      expect(getLinkElement('0-1').getAttribute('d')).toBe(prevPath);
+
+      runFrame(0);
+      runFrame(100);
+      expect(getLinkElement('0-1').getAttribute('d')).not.toBe(prevPath);
+      expect(getLinkElement('0-1').getAttribute('d')).toBe(
+        renderedComponent
+          .find(Link)
+          .filterWhere(l => l.prop('linkData').target.data.__rd3t.id === '0-1')
+          .instance()
+          .drawPath()
+      );
+    });
+
+    it('animates exiting nodes towards their parent before removing them', () => {
+      mountTree({ animationEasing: 'linear' });
+      const parentTransform = getLayoutTransform('0-0');
+      const transform = getLayoutTransform('0-0-0');
+      toggle('0-0');
+
+      expect(renderedComponent.find(Node).length).toBe(5);
+      expect(getNodeElement('0-0-0').getAttribute('transform')).toBe(transform);
+      runFrame(0);
+      runFrame(50);
+      const [x, y] = parseTranslate(transform);
+      const [parentX, parentY] = parseTranslate(parentTransform);
+      expect(getNodeElement('0-0-0').getAttribute('transform')).toBe(
+        `translate(${(x + parentX) / 2},${(y + parentY) / 2})`
+      );
+      expect(getNodeElement('0-0-0').style.opacity).toBe('0.5');
+
+      runFrame(100);
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(3);
+      expect(renderedComponent.find(Link).length).toBe(2);
+      expect(getNodeElement('0-0-0')).toBeNull();
+    });
+
+    it('continues from the displayed positions if nodes are toggled during an animation', () => {
+      mountTree({ initialDepth: 1, animationEasing: 'linear' });
+      toggle('0-0');
+      runFrame(0);
+      runFrame(50);
+      const transform = getNodeElement('0-0-0').getAttribute('transform');
+      const opacity = getNodeElement('0-0-0').style.opacity;
+
+      toggle('0-0');
+      expect(Tree.collapseNode).toHaveBeenCalled();
+      expect(getNodeElement('0-0-0').getAttribute('transform')).toBe(transform);
+      expect(getNodeElement('0-0-0').style.opacity).toBe(opacity);
+
+      runFrame(100);
+      runFrame(200);
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(3);
+    });
+
+    it('applies a custom `animationEasing` function', () => {
+      const easing = jest.fn(t => t);
+      mountTree({ initialDepth: 1, animationEasing: easing });
+      toggle('0-0');
+      runFrame(0);
+      runFrame(25);
+      expect(easing).toHaveBeenLastCalledWith(0.25);
+    });
+
+    it('does not animate if disabled', () => {
+      mountTree({ initialDepth: 1, enableAnimations: false });
+      toggle('0-0');
+      expect(frameCallbacks).toHaveLength(0);
+      expect(getNodeElement('0-0-0').getAttribute('transform')).toBe(getLayoutTransform('0-0-0'));
+    });
+
+    it('removes exiting nodes right away if disabled during an animation', () => {
+      mountTree();
+      toggle('0-0');
+      expect(renderedComponent.find(Node).length).toBe(5);
+      renderedComponent.setProps({ enableAnimations: false });
+      expect(renderedComponent.find(Node).length).toBe(3);
+      expect(frameCallbacks).toHaveLength(0);
+    });
+
+    it('supersedes `enableLegacyTransitions`', () => {
+      mountTree({ enableLegacyTransitions: true });
+      expect(renderedComponent.find(TransitionGroupWrapper).prop('enableLegacyTransitions')).toBe(
+        false
+      );
+      toggle('0-0');
+      toggle('0-0');
+      expect(Tree.expandNode).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('structural sharing', () => {
+    const toggle = (renderedComponent, nodeId) => {
+      renderedComponent.instance().toggleNode(nodeId);
+      renderedComponent.update();
+      return renderedComponent.state('data');
+    };
+
+    it('indexes the path of each node by its id', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      expect(Array.from(renderedComponent.state('nodePaths'))).toEqual([
+        ['0', [0]],
+        ['0-0', [0, 0]],
+        ['0-0-0', [0, 0, 0]],
+        ['0-0-1', [0, 0, 1]],
+        ['0-1', [0, 1]],
+      ]);
+    });
+
+    it('only copies the ancestors & descendants of a collapsed node', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      const prevData = renderedComponent.state('data');
+      const data = toggle(renderedComponent, '0-0');
+
+      expect(data).not.toBe(prevData);
+      expect(data[0]).not.toBe(prevData[0]);
+      expect(data[0].children[0]).not.toBe(prevData[0].children[0]);
+      expect(data[0].children[0].children[0]).not.toBe(prevData[0].children[0].children[0]);
+      expect(data[0].children[1]).toBe(prevData[0].children[1]);
+      expect(data[0].children[0].children.every(node => node.__rd3t.collapsed)).toBe(true);
+    });
+
+    it('only copies the ancestors of an expanded node', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} initialDepth={1} />);
+      const prevData = renderedComponent.state('data');
+      const data = toggle(renderedComponent, '0-0');
+
+      expect(data[0].children[0]).not.toBe(prevData[0].children[0]);
+      expect(data[0].children[0].__rd3t.collapsed).toBe(false);
+      expect(data[0].children[0].children[0]).toBe(prevData[0].children[0].children[0]);
+      expect(data[0].children[1]).toBe(prevData[0].children[1]);
+    });
+
+    it('does not mutate the previous `state.data`', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      const prevData = renderedComponent.state('data');
+      const prevDataCopy = clone(prevData);
+      toggle(renderedComponent, '0-0');
+      toggle(renderedComponent, '0-0');
+      renderedComponent.instance().expandToNode('0-0-1');
+
+      expect(prevData).toEqual(prevDataCopy);
+    });
+
+    it('only copies neighbor nodes which are not fully collapsed yet', () => {
+      const renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} initialDepth={1} shouldCollapseNeighborNodes />
+      );
+      const prevData = renderedComponent.state('data');
+      const data = toggle(renderedComponent, '0-0');
+      expect(data[0].children[1]).toBe(prevData[0].children[1]);
+
+      toggle(renderedComponent, '0-0');
+      toggle(renderedComponent, '0-1');
+      const nextData = toggle(renderedComponent, '0-0');
+      expect(nextData[0].children[1]).not.toBe(data[0].children[1]);
+      expect(nextData[0].children[1].__rd3t.collapsed).toBe(true);
+    });
+
+    it('only copies the nodes whose collapse state changed via `collapsedIds`', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} collapsedIds={[]} />);
+      const prevData = renderedComponent.state('data');
+      renderedComponent.setProps({ collapsedIds: ['0-0-1'] });
+      const data = renderedComponent.state('data');
+
+      expect(data[0].children[0]).not.toBe(prevData[0].children[0]);
+      expect(data[0].children[0].children[1].__rd3t.collapsed).toBe(true);
+      expect(data[0].children[0].children[0]).toBe(prevData[0].children[0].children[0]);
+      expect(data[0].children[1]).toBe(prevData[0].children[1]);
+      expect(prevData[0].children[0].children[1].__rd3t.collapsed).toBe(false);
+
+      renderedComponent.setProps({ collapsedIds: ['0-0-1'] });
+      expect(renderedComponent.state('data')).toBe(data);
+    });
+
+    it('ignores toggles of unknown node ids', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      const prevData = renderedComponent.state('data');
+      expect(toggle(renderedComponent, 'unknown-id')).toBe(prevData);
+    });
+  });
+
   describe('initialDepth', () => {
     it('expands tree to full depth by default', () => {
       const renderedComponent = shallow(<Tree data={mockTree_D1N2_D2N2} />);
@@ -270,34 +1042,1040 @@ describe('<Tree />', () => {
     });
   });
 
-  describe('zoom', () => {
-    it('applies the `zoom` prop when specified', () => {
-      const zoomLevel = 0.3;
-      const expected = `scale(${zoomLevel})`;
-      const renderedComponent = shallow(<Tree data={mockData} zoom={zoomLevel} />);
-      expect(renderedComponent.find(TransitionGroupWrapper).prop('transform')).toContain(expected);
-    });
+  describe('forest', () => {
+    const forestData = [
+      { name: 'Root A', children: [{ name: 'A1' }, { name: 'A2' }] },
+      { name: 'Root B', children: [{ name: 'B1' }] },
+    ];
+    const getNodeDatum = (renderedComponent, name) =>
+      renderedComponent
+        .find(Node)
+        .map(node => node.prop('hierarchyPointNode'))
+        .find(node => node.data.name === name);
 
-    it('applies default zoom level when `zoom` is not specified', () => {
-      const renderedComponent = shallow(<Tree data={mockData} />);
-      expect(renderedComponent.find(TransitionGroupWrapper).prop('transform')).toContain(
-        `scale(1)`
+    it('renders the nodes & links of every root in `data`', () => {
+      const renderedComponent = shallow(<Tree data={forestData} />);
+      expect(renderedComponent.find(Node).length).toBe(5);
+      expect(renderedComponent.find(Link).length).toBe(3);
+      expect(renderedComponent.find(Node).map(node => node.prop('data').__rd3t.id)).toEqual(
+        expect.arrayContaining(['0', '0-0', '0-1', '1', '1-0'])
       );
     });
 
-    it('respects `scaleExtent` constraints on initial display', () => {
-      const scaleExtent = { min: 0.2, max: 0.8 };
-
-      let renderedComponent = shallow(
-        <Tree data={mockData} scaleExtent={scaleExtent} zoom={0.9} />
-      );
-      expect(renderedComponent.find(TransitionGroupWrapper).prop('transform')).toContain(
-        `scale(${scaleExtent.max})`
+    it('places the trees next to each other along the breadth axis, separated by `forestGap`', () => {
+      const nodeSize = { x: 100, y: 50 };
+      const renderedComponent = shallow(
+        <Tree data={forestData} orientation="vertical" nodeSize={nodeSize} />
       );
+      const rootA = getNodeDatum(renderedComponent, 'Root A');
+      const rootB = getNodeDatum(renderedComponent, 'Root B');
+      expect(rootA.x).toBe(0);
+      expect(rootB.y).toBe(rootA.y);
+      // Rightmost node of tree A (`A2`) is `nonSiblings` nodes away from the leftmost of tree B.
+      const a2 = getNodeDatum(renderedComponent, 'A2');
+      const b1 = getNodeDatum(renderedComponent, 'B1');
+      expect(b1.x - a2.x).toBe(2 * nodeSize.x);
+
+      renderedComponent.setProps({ forestGap: 30 });
+      expect(
+        getNodeDatum(renderedComponent, 'B1').x - getNodeDatum(renderedComponent, 'A2').x
+      ).toBe(2 * nodeSize.x + 30);
+    });
 
-      renderedComponent = shallow(<Tree data={mockData} scaleExtent={scaleExtent} zoom={0.1} />);
-      expect(renderedComponent.find(TransitionGroupWrapper).prop('transform')).toContain(
-        `scale(${scaleExtent.min})`
+    it('renders every root as a root node', () => {
+      const renderedComponent = shallow(<Tree data={forestData} rootNodeClassName="root" />);
+      const roots = renderedComponent
+        .find(Node)
+        .filterWhere(node => node.prop('nodeClassName') === 'root');
+      expect(roots.map(node => node.prop('data').name)).toEqual(['Root A', 'Root B']);
+    });
+
+    it('lays out the roots below a hidden virtual root if `forestVirtualRoot` is set', () => {
+      const nodeSize = { x: 100, y: 50 };
+      const renderedComponent = shallow(
+        <Tree data={forestData} orientation="vertical" nodeSize={nodeSize} forestVirtualRoot />
+      );
+      expect(renderedComponent.find(Node).length).toBe(5);
+      expect(renderedComponent.find(Link).length).toBe(3);
+
+      const rootA = getNodeDatum(renderedComponent, 'Root A');
+      const rootB = getNodeDatum(renderedComponent, 'Root B');
+      expect(rootA.parent).toBeNull();
+      expect(rootB.parent).toBeNull();
+      expect([rootA.depth, rootA.y, rootB.depth, rootB.y]).toEqual([0, 0, 0, 0]);
+      expect(getNodeDatum(renderedComponent, 'B1').depth).toBe(1);
+      expect(getNodeDatum(renderedComponent, 'B1').y).toBe(nodeSize.y);
+
+      const distance = () =>
+        getNodeDatum(renderedComponent, 'B1').x - getNodeDatum(renderedComponent, 'A2').x;
+      expect(distance()).toBeCloseTo(2 * nodeSize.x);
+      renderedComponent.setProps({ forestGap: 30 });
+      expect(distance()).toBeCloseTo(2 * nodeSize.x + 30);
+    });
+
+    it('applies `initialDepth` to every root', () => {
+      const renderedComponent = shallow(<Tree data={forestData} initialDepth={0} />);
+      expect(renderedComponent.find(Node).map(node => node.prop('data').name)).toEqual([
+        'Root A',
+        'Root B',
+      ]);
+    });
+  });
+
+  describe('layout', () => {
+    const getNodes = renderedComponent =>
+      renderedComponent.find(Node).map(node => node.prop('hierarchyPointNode'));
+    const nodeSize = { x: 100, y: 50 };
+
+    it('places nodes at their own depth by default', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} orientation="vertical" nodeSize={nodeSize} />
+      );
+      getNodes(renderedComponent).forEach(node => {
+        expect(node.y).toBe(node.depth * nodeSize.y);
+      });
+    });
+
+    it('aligns all leaves at the deepest level if `layout` is `cluster`', () => {
+      const renderedComponent = shallow(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          orientation="vertical"
+          nodeSize={nodeSize}
+          layout="cluster"
+        />
+      );
+      const nodes = getNodes(renderedComponent);
+      const leaves = nodes.filter(node => !node.children);
+      expect(leaves.map(node => node.data.name)).toEqual(
+        expect.arrayContaining(['Level 2: B', '3: Son of A', '3: Daughter of A'])
+      );
+      leaves.forEach(node => {
+        expect(node.y).toBe(2 * nodeSize.y);
+      });
+      // Leaves remain separated by `nodeSize`.
+      const leafXs = leaves.map(node => node.x).sort((a, b) => a - b);
+      expect(leafXs[1] - leafXs[0]).toBe(nodeSize.x);
+    });
+
+    it('scales the aligned levels of a `cluster` by `depthFactor`', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} layout="cluster" depthFactor={300} />
+      );
+      const leaf = getNodes(renderedComponent).find(node => node.data.name === 'Level 2: B');
+      expect(leaf.depth).toBe(1);
+      expect(leaf.y).toBe(600);
+    });
+
+    it('re-aligns the leaves of a `cluster` when nodes are toggled', () => {
+      const renderedComponent = mount(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          orientation="vertical"
+          nodeSize={nodeSize}
+          layout="cluster"
+        />
+      );
+      renderedComponent
+        .find(Node)
+        .filterWhere(node => node.prop('data').name === 'Level 2: A')
+        .find('circle')
+        .simulate('click');
+      const nodes = getNodes(renderedComponent);
+      expect(nodes.length).toBe(3);
+      nodes
+        .filter(node => node.depth === 1)
+        .forEach(node => {
+          expect(node.y).toBe(nodeSize.y);
+        });
+    });
+  });
+
+  describe('mindmap layout', () => {
+    const mindmapData = {
+      name: 'root',
+      children: [
+        { name: 'A', children: [{ name: 'A1' }, { name: 'A2' }] },
+        { name: 'B' },
+        { name: 'C' },
+        { name: 'D' },
+      ],
+    };
+    const nodeSize = { x: 100, y: 50 };
+    const getNodes = renderedComponent =>
+      renderedComponent.find(Node).reduce((nodes, node) => {
+        nodes[node.prop('data').name] = node.prop('hierarchyPointNode');
+        return nodes;
+      }, {});
+
+    it('places the root in the middle, balancing its children by subtree size', () => {
+      const renderedComponent = shallow(
+        <Tree data={mindmapData} layout="mindmap" nodeSize={nodeSize} />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect(nodes.root.y).toBe(0);
+      // `A` (3 nodes) is placed on the right, `B`, `C` & `D` (1 node each) on the left.
+      expect([nodes.A.y, nodes.A1.y, nodes.A2.y]).toEqual([100, 200, 200]);
+      expect([nodes.B.y, nodes.C.y, nodes.D.y]).toEqual([-100, -100, -100]);
+      // Each side is centered around the root.
+      expect(nodes.A.x).toBe(0);
+      expect(nodes.C.x).toBe(0);
+      expect(nodes.D.x - nodes.B.x).toBe(2 * nodeSize.y);
+    });
+
+    it('places children on the side returned by `getSide`', () => {
+      const renderedComponent = shallow(
+        <Tree
+          data={mindmapData}
+          layout="mindmap"
+          orientation="vertical"
+          nodeSize={nodeSize}
+          getSide={nodeDatum => (nodeDatum.name === 'A' ? 'left' : 'right')}
+        />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect([nodes.A.y, nodes.A1.y]).toEqual([-50, -100]);
+      expect([nodes.B.y, nodes.C.y, nodes.D.y]).toEqual([50, 50, 50]);
+    });
+
+    it('connects both sides to the root', () => {
+      const renderedComponent = shallow(
+        <Tree data={mindmapData} layout="mindmap" nodeSize={nodeSize} />
+      );
+      const nodes = getNodes(renderedComponent);
+      const links = renderedComponent.find(Link).map(link => link.prop('linkData'));
+      expect(links.length).toBe(6);
+      expect(
+        links.filter(link => link.source === nodes.root).map(link => link.target.data.name)
+      ).toEqual(['A', 'B', 'C', 'D']);
+      expect(nodes.B.parent).toBe(nodes.root);
+      expect(nodes.root.children.length).toBe(4);
+    });
+
+    it('applies `depthFactor` to both sides', () => {
+      const renderedComponent = shallow(
+        <Tree data={mindmapData} layout="mindmap" nodeSize={nodeSize} depthFactor={300} />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect([nodes.A1.y, nodes.B.y]).toEqual([600, -300]);
+    });
+
+    it('anchors the default labels of the left side on the left of their nodes', () => {
+      const renderedComponent = mount(
+        <Tree data={mindmapData} layout="mindmap" nodeSize={nodeSize} />
+      );
+      const getAnchor = name =>
+        renderedComponent
+          .find(Node)
+          .filterWhere(node => node.prop('data').name === name)
+          .find('.rd3t-label__title')
+          .prop('textAnchor');
+      expect(['root', 'A', 'B'].map(getAnchor)).toEqual(['start', 'start', 'end']);
+    });
+
+    it('keeps the sides of the root when its children are toggled', () => {
+      const renderedComponent = mount(
+        <Tree data={mindmapData} layout="mindmap" nodeSize={nodeSize} />
+      );
+      renderedComponent
+        .find(Node)
+        .filterWhere(node => node.prop('data').name === 'A')
+        .find('circle')
+        .simulate('click');
+      const nodes = getNodes(renderedComponent);
+      expect(nodes.A1).toBeUndefined();
+      expect(nodes.A.y).toBe(100);
+      expect(nodes.B.y).toBe(-100);
+    });
+  });
+
+  describe('indented layout', () => {
+    const nodeSize = { x: 40, y: 30 };
+    const getRows = renderedComponent =>
+      renderedComponent
+        .find(Node)
+        .map(node => node.prop('hierarchyPointNode'))
+        .sort((a, b) => a.x - b.x)
+        .map(node => [node.data.name, node.x, node.y]);
+
+    it('places each visible node in its own row, indented by its depth', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} layout="indented" nodeSize={nodeSize} />
+      );
+      expect(getRows(renderedComponent)).toEqual([
+        ['Top Level', 0, 0],
+        ['Level 2: A', 30, 40],
+        ['3: Son of A', 60, 80],
+        ['3: Daughter of A', 90, 80],
+        ['Level 2: B', 120, 40],
+      ]);
+    });
+
+    it('reflows the rows when a node is toggled', () => {
+      const renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} layout="indented" nodeSize={nodeSize} />
+      );
+      renderedComponent
+        .find(Node)
+        .filterWhere(node => node.prop('data').name === 'Level 2: A')
+        .find('circle')
+        .simulate('click');
+      expect(getRows(renderedComponent)).toEqual([
+        ['Top Level', 0, 0],
+        ['Level 2: A', 30, 40],
+        ['Level 2: B', 60, 40],
+      ]);
+    });
+
+    it('stacks multiple roots, `forestGap` apart', () => {
+      const renderedComponent = shallow(
+        <Tree
+          data={[{ name: 'A', children: [{ name: 'A1' }] }, { name: 'B' }]}
+          layout="indented"
+          nodeSize={nodeSize}
+          forestGap={10}
+        />
+      );
+      expect(getRows(renderedComponent)).toEqual([
+        ['A', 0, 0],
+        ['A1', 30, 40],
+        ['B', 70, 0],
+      ]);
+    });
+
+    it('draws predefined `pathFunc` options as elbows', () => {
+      const customPathFunc = () => 'M0,0';
+      const elbowTree = shallow(
+        <Tree data={mockTree_D1N2_D2N2} layout="indented" pathFunc="diagonal" />
+      );
+      const customTree = shallow(
+        <Tree data={mockTree_D1N2_D2N2} layout="indented" pathFunc={customPathFunc} />
+      );
+      expect(elbowTree.find(Link).map(link => link.prop('pathFunc'))).toEqual([
+        'elbow',
+        'elbow',
+        'elbow',
+        'elbow',
+      ]);
+      expect(
+        customTree
+          .find(Link)
+          .first()
+          .prop('pathFunc')
+      ).toBe(customPathFunc);
+    });
+  });
+
+  describe('compact', () => {
+    const reports = count => Array.from({ length: count }, (_, i) => ({ name: `report ${i}` }));
+    const orgChart = {
+      name: 'CEO',
+      children: [
+        { name: 'A', children: reports(5) },
+        { name: 'B', children: [{ name: 'B1', children: reports(2) }, { name: 'B2' }] },
+      ],
+    };
+    const nodeSize = { x: 100, y: 50 };
+    const getNodes = renderedComponent =>
+      renderedComponent.find(Node).map(node => node.prop('hierarchyPointNode'));
+    const getStack = (renderedComponent, parentName) =>
+      getNodes(renderedComponent)
+        .filter(node => node.parent && node.parent.data.name === parentName)
+        .map(node => [node.data.name, node.x - node.parent.x, node.y - node.parent.y]);
+
+    it('stacks leaf-only children in `compactColumns` columns below their parent', () => {
+      const renderedComponent = shallow(
+        <Tree data={orgChart} orientation="vertical" nodeSize={nodeSize} compact />
+      );
+      expect(getStack(renderedComponent, 'A')).toEqual([
+        ['report 0', -50, 50],
+        ['report 1', -50, 100],
+        ['report 2', -50, 150],
+        ['report 3', 50, 50],
+        ['report 4', 50, 100],
+      ]);
+      renderedComponent.setProps({ compactColumns: 1 });
+      expect(getStack(renderedComponent, 'A').map(([, x, y]) => [x, y])).toEqual([
+        [0, 50],
+        [0, 100],
+        [0, 150],
+        [0, 200],
+        [0, 250],
+      ]);
+    });
+
+    it('does not stack leaf-only roots below the virtual root of a forest', () => {
+      const renderedComponent = shallow(
+        <Tree
+          data={[{ name: 'a' }, { name: 'b' }, { name: 'c' }]}
+          orientation="vertical"
+          nodeSize={nodeSize}
+          sortChildren={(a, b) => b.name.localeCompare(a.name)}
+          compact
+          forestVirtualRoot
+        />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect(nodes.map(node => [node.data.name, node.depth, node.y])).toEqual([
+        ['a', 0, 0],
+        ['b', 0, 0],
+        ['c', 0, 0],
+      ]);
+      expect(nodes[0].x).toBeLessThan(nodes[1].x);
+      expect(nodes[1].x).toBeLessThan(nodes[2].x);
+    });
+
+    it('keeps the tidy layout for children which are not all leaves', () => {
+      const renderedComponent = shallow(
+        <Tree data={orgChart} orientation="vertical" nodeSize={nodeSize} compact />
+      );
+      const nodes = getNodes(renderedComponent);
+      const b1 = nodes.find(node => node.data.name === 'B1');
+      const b2 = nodes.find(node => node.data.name === 'B2');
+      expect(b1.y).toBe(b2.y);
+      expect(b2.x - b1.x).toBe(100);
+      // No two nodes overlap.
+      nodes.forEach(a =>
+        nodes
+          .filter(b => b !== a && b.y === a.y)
+          .forEach(b => expect(Math.abs(a.x - b.x)).toBeGreaterThanOrEqual(nodeSize.x))
+      );
+    });
+
+    it('connects stacked leaves to their parent with elbows', () => {
+      const renderedComponent = shallow(
+        <Tree data={orgChart} orientation="vertical" nodeSize={nodeSize} compact />
+      );
+      const stackLink = renderedComponent
+        .find(Link)
+        .filterWhere(link => link.prop('linkData').target.data.name === 'report 4');
+      const { source, target } = stackLink.prop('linkData');
+      expect(stackLink.prop('pathFunc')).toBe(Tree.drawStackedLinkPath);
+      expect(Tree.drawStackedLinkPath({ source, target }, 'vertical')).toBe(
+        `M${source.x},${source.y}L${source.x},${target.y}L${target.x},${target.y}`
+      );
+      expect(Tree.drawStackedLinkPath({ source, target }, 'horizontal')).toBe(
+        `M${source.y},${source.x}L${target.y},${source.x}L${target.y},${target.x}`
+      );
+      expect(
+        renderedComponent
+          .find(Link)
+          .filterWhere(link => link.prop('linkData').target.data.name === 'A')
+          .prop('pathFunc')
+      ).toBe('diagonal');
+    });
+
+    it('applies `depthFactor` to each row of a stack', () => {
+      const renderedComponent = shallow(
+        <Tree data={orgChart} orientation="vertical" compact depthFactor={80} />
+      );
+      expect(getStack(renderedComponent, 'A').map(([, , y]) => y)).toEqual([80, 160, 240, 80, 160]);
+    });
+
+    it('hides the stack when its parent is collapsed', () => {
+      const renderedComponent = mount(<Tree data={orgChart} compact />);
+      expect(renderedComponent.find(Node).length).toBe(12);
+      renderedComponent
+        .find(Node)
+        .filterWhere(node => node.prop('data').name === 'A')
+        .find('circle')
+        .simulate('click');
+      expect(renderedComponent.find(Node).length).toBe(7);
+    });
+  });
+
+  describe('layout memoization', () => {
+    let generateTreeSpy;
+
+    beforeEach(() => {
+      generateTreeSpy = jest.spyOn(Tree.prototype, 'generateTree');
+    });
+
+    afterEach(() => {
+      generateTreeSpy.mockRestore();
+    });
+
+    it('does not recompute the layout if no layout inputs changed', () => {
+      const onLayoutCompleteSpy = jest.fn();
+      const renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} onLayoutComplete={onLayoutCompleteSpy} />
+      );
+      generateTreeSpy.mockClear();
+      onLayoutCompleteSpy.mockClear();
+      renderedComponent.setProps({ svgClassName: 'unrelated', nodeSize: { x: 140, y: 140 } });
+      expect(generateTreeSpy).not.toHaveBeenCalled();
+      expect(onLayoutCompleteSpy).not.toHaveBeenCalled();
+    });
+
+    it('recomputes the layout if a layout prop changed', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      generateTreeSpy.mockClear();
+      renderedComponent.setProps({ nodeSize: { x: 200, y: 200 } });
+      expect(generateTreeSpy).toHaveBeenCalledTimes(1);
+      renderedComponent.setProps({ sortChildren: sortBy.name('desc') });
+      expect(generateTreeSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('recomputes the layout if the collapse state changed', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      generateTreeSpy.mockClear();
+      renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === 'Level 2: A')
+        .instance()
+        .handleNodeToggle();
+      renderedComponent.update();
+      expect(generateTreeSpy).toHaveBeenCalledTimes(1);
+      expect(renderedComponent.find(Node).length).toBe(3);
+    });
+
+    it('warns once about layout functions which are re-created on every render', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} sortChildren={(a, b) => a.name.localeCompare(b.name)} />
+      );
+      renderedComponent.setProps({ sortChildren: (a, b) => a.name.localeCompare(b.name) });
+      renderedComponent.setProps({ sortChildren: (a, b) => a.name.localeCompare(b.name) });
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+      expect(warnSpy.mock.calls[0][0]).toContain('`sortChildren` is re-created on every render');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('layoutInWorker', () => {
+    // Queues requests until `respond` is called, answering them like the actual layout worker.
+    const createFakeWorker = () => {
+      const worker = {
+        requests: [],
+        postMessage: jest.fn(message => worker.requests.push(clone(message))),
+        terminate: jest.fn(),
+        respond: () =>
+          worker.requests
+            .splice(0)
+            .forEach(request => worker.onmessage({ data: handleLayoutRequest(request) })),
+      };
+      return worker;
+    };
+
+    it('lays out the tree via the worker, rendering nothing until the first layout arrives', () => {
+      const worker = createFakeWorker();
+      const onLayoutCompleteSpy = jest.fn();
+      const renderedComponent = mount(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          layoutInWorker
+          createLayoutWorker={() => worker}
+          onLayoutComplete={onLayoutCompleteSpy}
+        />
+      );
+      expect(renderedComponent.find(Node).length).toBe(0);
+      expect(worker.postMessage).toHaveBeenCalledTimes(1);
+      worker.respond();
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(5);
+      expect(renderedComponent.find(Link).length).toBe(4);
+      expect(onLayoutCompleteSpy).toHaveBeenCalledTimes(1);
+      expect(onLayoutCompleteSpy).toHaveBeenCalledWith({
+        duration: expect.any(Number),
+        nodeCount: 5,
+        inWorker: true,
+      });
+    });
+
+    it('keeps the previous layout on screen until the new one arrives', () => {
+      const worker = createFakeWorker();
+      const renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} layoutInWorker createLayoutWorker={() => worker} />
+      );
+      worker.respond();
+      renderedComponent.update();
+      renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === 'Level 2: A')
+        .instance()
+        .handleNodeToggle();
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(5);
+      worker.respond();
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(3);
+    });
+
+    it('discards layouts which were superseded by a newer request', () => {
+      const worker = createFakeWorker();
+      const renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} layoutInWorker createLayoutWorker={() => worker} />
+      );
+      renderedComponent.setProps({ orientation: 'vertical' });
+      expect(worker.postMessage).toHaveBeenCalledTimes(2);
+      // Deliver the outdated (horizontal) layout last.
+      worker.requests.reverse();
+      worker.respond();
+      renderedComponent.update();
+      const childNode = renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === 'Level 2: A');
+      expect(childNode.prop('position')).toEqual({ x: -70, y: 140 });
+    });
+
+    it('rebuilds the same nodes, links & stacked nodes as a synchronous layout', () => {
+      const data = [
+        {
+          name: 'Root',
+          children: [
+            { name: 'Branch', children: [{ name: 'Leaf 1' }, { name: 'Leaf 2' }] },
+            { name: 'Leaf 3' },
+          ],
+        },
+        { name: 'Second root' },
+      ];
+      const tree = shallow(
+        <Tree data={data} compact orientation="vertical" forestGap={50} />
+      ).instance();
+      const expected = tree.generateTree();
+      const { layout } = handleLayoutRequest({
+        requestId: 1,
+        data: tree.state.data,
+        props: tree.getWorkerLayoutProps(),
+      });
+      const actual = Tree.deserializeLayout(layout, tree.state.data);
+      const describeNode = node => ({
+        id: node.data.__rd3t.id,
+        parentId: node.parent ? node.parent.data.__rd3t.id : null,
+        x: node.x,
+        y: node.y,
+        depth: node.depth,
+        height: node.height,
+      });
+      expect(actual.nodes.map(describeNode)).toEqual(expected.nodes.map(describeNode));
+      expect(actual.links.length).toBe(expected.links.length);
+      expect(Array.from(actual.stackedNodes).map(describeNode)).toEqual(
+        Array.from(expected.stackedNodes).map(describeNode)
+      );
+    });
+
+    it('falls back to synchronous layouts if no worker can be created', () => {
+      const onLayoutCompleteSpy = jest.fn();
+      const renderedComponent = mount(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          layoutInWorker
+          createLayoutWorker={() => new Worker('layoutWorker.js')}
+          onLayoutComplete={onLayoutCompleteSpy}
+        />
+      );
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(5);
+      expect(onLayoutCompleteSpy).toHaveBeenLastCalledWith({
+        duration: expect.any(Number),
+        nodeCount: 5,
+        inWorker: false,
+      });
+    });
+
+    it('falls back to synchronous layouts if the layout depends on functions', () => {
+      const worker = createFakeWorker();
+      const renderedComponent = mount(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          layoutInWorker
+          createLayoutWorker={() => worker}
+          sortChildren={sortBy.name('desc')}
+        />
+      );
+      expect(worker.postMessage).not.toHaveBeenCalled();
+      expect(renderedComponent.find(Node).length).toBe(5);
+    });
+
+    it('terminates the worker on unmount', () => {
+      const worker = createFakeWorker();
+      const renderedComponent = mount(
+        <Tree data={mockTree_D1N2_D2N2} layoutInWorker createLayoutWorker={() => worker} />
+      );
+      renderedComponent.unmount();
+      expect(worker.terminate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('sortChildren', () => {
+    const getChildNames = (renderedComponent, parentName) =>
+      renderedComponent
+        .find(Node)
+        .map(node => node.prop('hierarchyPointNode'))
+        .filter(node => node.parent && node.parent.data.name === parentName)
+        .sort((a, b) => a.x - b.x)
+        .map(node => node.data.name);
+
+    it('orders siblings by `sortChildren` without mutating `data`', () => {
+      const data = { name: 'root', children: [{ name: 'b' }, { name: 'c' }, { name: 'a' }] };
+      const sortChildren = (a, b) => a.name.localeCompare(b.name);
+      const renderedComponent = shallow(
+        <Tree data={data} orientation="vertical" sortChildren={sortChildren} />
+      );
+      expect(getChildNames(renderedComponent, 'root')).toEqual(['a', 'b', 'c']);
+      expect(data.children.map(child => child.name)).toEqual(['b', 'c', 'a']);
+      expect(
+        renderedComponent
+          .find(Node)
+          .filterWhere(node => node.prop('data').name === 'b')
+          .prop('data').__rd3t.id
+      ).toBe('0-0');
+    });
+
+    it('keeps the order of multiple roots', () => {
+      const data = [{ name: 'z' }, { name: 'y' }];
+      const renderedComponent = shallow(
+        <Tree
+          data={data}
+          orientation="vertical"
+          forestVirtualRoot
+          sortChildren={(a, b) => a.name.localeCompare(b.name)}
+        />
+      );
+      const [z, y] = renderedComponent.find(Node).map(node => node.prop('hierarchyPointNode'));
+      expect(z.x).toBeLessThan(y.x);
+    });
+
+    it('keeps collapse state when the order changes', () => {
+      const data = {
+        name: 'root',
+        children: [{ name: 'b', children: [{ name: 'b1' }] }, { name: 'a' }],
+      };
+      const renderedComponent = mount(<Tree data={data} orientation="vertical" />);
+      renderedComponent
+        .find(Node)
+        .filterWhere(node => node.prop('data').name === 'b')
+        .find('circle')
+        .simulate('click');
+      renderedComponent.setProps({ sortChildren: sortBy.name() });
+      expect(getChildNames(renderedComponent, 'root')).toEqual(['a', 'b']);
+      expect(renderedComponent.find(Node).length).toBe(3);
+    });
+  });
+
+  describe('separation', () => {
+    const nodeSize = { x: 100, y: 50 };
+    const getNodes = renderedComponent =>
+      renderedComponent.find(Node).reduce((nodes, node) => {
+        nodes[node.prop('data').name] = node.prop('hierarchyPointNode');
+        return nodes;
+      }, {});
+
+    it('separates siblings & non-siblings by multiples of the node breadth', () => {
+      const renderedComponent = shallow(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          orientation="vertical"
+          nodeSize={nodeSize}
+          separation={{ siblings: 1.5, nonSiblings: 3 }}
+        />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect(nodes['3: Daughter of A'].x - nodes['3: Son of A'].x).toBe(150);
+      expect(nodes['Level 2: B'].x - nodes['Level 2: A'].x).toBe(150);
+    });
+
+    it('accepts a function called with both neighboring `HierarchyPointNode`s', () => {
+      const hasWideNode = (...nodes) => nodes.some(node => node.data.name === 'Level 2: A');
+      const separation = jest.fn((a, b) => (hasWideNode(a, b) ? 4 : 1));
+      const renderedComponent = shallow(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          orientation="vertical"
+          nodeSize={nodeSize}
+          separation={separation}
+        />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect(nodes['Level 2: B'].x - nodes['Level 2: A'].x).toBe(400);
+      expect(nodes['3: Daughter of A'].x - nodes['3: Son of A'].x).toBe(100);
+      const [a, b] = separation.mock.calls.find(nodes => hasWideNode(...nodes));
+      expect([a.data.name, b.data.name].sort()).toEqual(['Level 2: A', 'Level 2: B']);
+      expect(a.parent.data.name).toBe('Top Level');
+    });
+
+    it('uses the separation function between the trees of a forest', () => {
+      const separation = (a, b) => (a.parent === null || b.parent === null ? 5 : 1);
+      const renderedComponent = shallow(
+        <Tree
+          data={[{ name: 'A' }, { name: 'B' }]}
+          orientation="vertical"
+          nodeSize={nodeSize}
+          separation={separation}
+        />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect(nodes.B.x - nodes.A.x).toBe(500);
+    });
+  });
+
+  describe('getDepthOffset', () => {
+    const getNodes = renderedComponent =>
+      renderedComponent.find(Node).reduce((nodes, node) => {
+        nodes[node.prop('data').name] = node.prop('hierarchyPointNode');
+        return nodes;
+      }, {});
+
+    it('places each node at the offset returned for its depth', () => {
+      const getDepthOffset = jest.fn(depth => depth * depth * 100);
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} getDepthOffset={getDepthOffset} />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect(nodes['Top Level'].y).toBe(0);
+      expect(nodes['Level 2: A'].y).toBe(100);
+      expect(nodes['3: Son of A'].y).toBe(400);
+      expect(getDepthOffset).toHaveBeenCalledWith(1, nodes['Level 2: A']);
+    });
+
+    it('accepts an array of offsets per level, extending its last spacing', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} getDepthOffset={[0, 300]} />
+      );
+      expect(getNodes(renderedComponent)['3: Son of A'].y).toBe(600);
+      renderedComponent.setProps({ getDepthOffset: [0, 300, 350] });
+      expect(getNodes(renderedComponent)['3: Son of A'].y).toBe(350);
+      renderedComponent.setProps({ getDepthOffset: [50], nodeSize: { x: 70, y: 10 } });
+      expect(getNodes(renderedComponent)['3: Son of A'].y).toBe(190);
+    });
+
+    it('spaces the levels by `nodeSize` for an empty array of offsets', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} getDepthOffset={[]} nodeSize={{ x: 70, y: 10 }} />
+      );
+      const nodes = getNodes(renderedComponent);
+      expect(nodes['Top Level'].y).toBe(0);
+      expect(nodes['Level 2: A'].y).toBe(70);
+      expect(nodes['3: Son of A'].y).toBe(140);
+    });
+
+    it('takes precedence over `depthFactor`', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} depthFactor={10} getDepthOffset={[0, 300, 350]} />
+      );
+      expect(getNodes(renderedComponent)['Level 2: A'].y).toBe(300);
+    });
+
+    it('passes the aligned level of `cluster` leaves', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} layout="cluster" getDepthOffset={[0, 300, 350]} />
+      );
+      expect(getNodes(renderedComponent)['Level 2: B'].y).toBe(350);
+    });
+
+    it('draws links & enter transitions from the offset positions', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockTree_D1N2_D2N2} getDepthOffset={[0, 300, 350]} />
+      );
+      const link = renderedComponent
+        .find(Link)
+        .map(l => l.prop('linkData'))
+        .find(linkData => linkData.target.data.name === '3: Son of A');
+      expect([link.source.y, link.target.y]).toEqual([300, 350]);
+      const node = renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === '3: Son of A');
+      expect(node.prop('parent').y).toBe(300);
+    });
+  });
+
+  describe('getNodeSize', () => {
+    const sizedData = {
+      name: 'root',
+      size: { x: 100, y: 100 },
+      children: [
+        {
+          name: 'wide',
+          size: { x: 300, y: 200 },
+          children: [{ name: 'leaf', size: { x: 50, y: 50 } }],
+        },
+        { name: 'narrow', size: { x: 50, y: 50 } },
+      ],
+    };
+    const getNodeSize = nodeDatum => nodeDatum.size;
+    const getNodes = renderedComponent =>
+      renderedComponent.find(Node).reduce((nodes, node) => {
+        nodes[node.prop('data').name] = node.prop('hierarchyPointNode');
+        return nodes;
+      }, {});
+
+    it('separates neighboring nodes by their mean breadth', () => {
+      const renderedComponent = shallow(
+        <Tree data={sizedData} orientation="vertical" getNodeSize={getNodeSize} />
+      );
+      const { wide, narrow } = getNodes(renderedComponent);
+      expect(narrow.x - wide.x).toBe((300 + 50) / 2);
+    });
+
+    it('scales the separation of neighboring nodes by `separation`', () => {
+      const renderedComponent = shallow(
+        <Tree
+          data={sizedData}
+          orientation="vertical"
+          getNodeSize={getNodeSize}
+          separation={{ siblings: 2, nonSiblings: 3 }}
+        />
+      );
+      const { wide, narrow } = getNodes(renderedComponent);
+      expect(narrow.x - wide.x).toBe(2 * ((300 + 50) / 2));
+    });
+
+    it('makes each level as deep as its deepest node', () => {
+      const renderedComponent = shallow(
+        <Tree data={sizedData} orientation="vertical" getNodeSize={getNodeSize} />
+      );
+      const { root, wide, narrow, leaf } = getNodes(renderedComponent);
+      expect(root.y).toBe(0);
+      expect(wide.y).toBe((100 + 200) / 2);
+      expect(narrow.y).toBe(wide.y);
+      expect(leaf.y).toBe(wide.y + (200 + 50) / 2);
+    });
+
+    it('uses the `y` size as breadth & `x` size as depth for `horizontal` trees', () => {
+      const renderedComponent = shallow(<Tree data={sizedData} getNodeSize={getNodeSize} />);
+      const { root, wide, narrow } = getNodes(renderedComponent);
+      expect(narrow.x - wide.x).toBe((200 + 50) / 2);
+      expect(wide.y - root.y).toBe((100 + 300) / 2);
+    });
+
+    it('lets `depthFactor` override the depth of each level', () => {
+      const renderedComponent = shallow(
+        <Tree data={sizedData} orientation="vertical" getNodeSize={getNodeSize} depthFactor={80} />
+      );
+      const { wide, leaf } = getNodes(renderedComponent);
+      expect(wide.y).toBe(80);
+      expect(leaf.y).toBe(160);
+    });
+
+    it('separates the trees of a forest by the breadth of their outermost nodes', () => {
+      const renderedComponent = shallow(
+        <Tree
+          data={[sizedData, { name: 'other', size: { x: 10, y: 10 } }]}
+          orientation="vertical"
+          getNodeSize={getNodeSize}
+        />
+      );
+      const { narrow, other } = getNodes(renderedComponent);
+      expect(other.x - narrow.x).toBe(((50 + 10) / 2) * 2);
+    });
+  });
+
+  describe('reversed orientations', () => {
+    const getNodes = renderedComponent =>
+      renderedComponent.find(Node).map(node => node.prop('hierarchyPointNode'));
+    const nodeSize = { x: 100, y: 50 };
+
+    it('lays out the depth of reversed trees along the negative y', () => {
+      ['horizontal-reverse', 'vertical-reverse'].forEach(orientation => {
+        const nonReversed = getNodes(
+          shallow(
+            <Tree
+              data={mockTree_D1N2_D2N2}
+              orientation={orientation.replace('-reverse', '')}
+              nodeSize={nodeSize}
+            />
+          )
+        );
+        const reversed = getNodes(
+          shallow(<Tree data={mockTree_D1N2_D2N2} orientation={orientation} nodeSize={nodeSize} />)
+        );
+        expect(reversed.map(node => [node.x, node.y])).toEqual(
+          nonReversed.map(node => [node.x, 0 - node.y])
+        );
+      });
+    });
+
+    it('uses `nodeSize.x` as depth for `horizontal-reverse` & `nodeSize.y` for `vertical-reverse`', () => {
+      const horizontal = getNodes(
+        shallow(<Tree data={mockData} orientation="horizontal-reverse" nodeSize={nodeSize} />)
+      );
+      const vertical = getNodes(
+        shallow(<Tree data={mockData} orientation="vertical-reverse" nodeSize={nodeSize} />)
+      );
+      horizontal.forEach(node => expect(node.y).toBe(0 - node.depth * nodeSize.x));
+      vertical.forEach(node => expect(node.y).toBe(0 - node.depth * nodeSize.y));
+    });
+
+    it('renders the root on the right of `horizontal-reverse` trees', () => {
+      const renderedComponent = mount(
+        <Tree data={mockData} orientation="horizontal-reverse" nodeSize={nodeSize} />
+      );
+      const transforms = renderedComponent
+        .find(Node)
+        .map(node =>
+          node.instance().setTransform(node.prop('position'), null, 'horizontal-reverse')
+        );
+      expect(transforms[0]).toBe('translate(0,0)');
+      expect(transforms[1]).toMatch(/^translate\(-100,/);
+    });
+  });
+
+  describe('radial orientation', () => {
+    const getNodes = renderedComponent =>
+      renderedComponent.find(Node).map(node => node.prop('hierarchyPointNode'));
+
+    it('maps breadth to angles between `startAngle` & `endAngle` and depth to radius', () => {
+      const renderedComponent = shallow(
+        <Tree
+          data={mockTree_D1N2_D2N2}
+          orientation="radial"
+          nodeSize={{ x: 100, y: 50 }}
+          startAngle={0}
+          endAngle={Math.PI}
+        />
+      );
+      const nodes = getNodes(renderedComponent);
+      nodes.forEach(node => {
+        expect(node.x).toBeGreaterThan(0);
+        expect(node.x).toBeLessThan(Math.PI);
+        expect(node.y).toBe(node.depth * 50);
+      });
+      const leaves = nodes.filter(node => !node.children);
+      const leafAngles = leaves.map(node => node.x).sort((a, b) => a - b);
+      // Breadth [-100, 50] plus half a node's breadth at either end is mapped onto [0, π].
+      expect(leafAngles[0]).toBeCloseTo(Math.PI / 5);
+      expect(leafAngles[1]).toBeCloseTo((3 * Math.PI) / 5);
+      expect(leafAngles[2]).toBeCloseTo((4 * Math.PI) / 5);
+    });
+
+    it('offsets all nodes by `innerRadius`', () => {
+      const renderedComponent = shallow(
+        <Tree data={mockData} orientation="radial" nodeSize={{ x: 100, y: 50 }} innerRadius={30} />
+      );
+      getNodes(renderedComponent).forEach(node => {
+        expect(node.y).toBe(30 + node.depth * 50);
+      });
+    });
+  });
+
+  describe('zoom', () => {
+    it('applies the `zoom` prop when specified', () => {
+      const zoomLevel = 0.3;
+      const expected = `scale(${zoomLevel})`;
+      const renderedComponent = shallow(<Tree data={mockData} zoom={zoomLevel} />);
+      expect(renderedComponent.find(TransitionGroupWrapper).prop('transform')).toContain(expected);
+    });
+
+    it('applies default zoom level when `zoom` is not specified', () => {
+      const renderedComponent = shallow(<Tree data={mockData} />);
+      expect(renderedComponent.find(TransitionGroupWrapper).prop('transform')).toContain(
+        `scale(1)`
+      );
+    });
+
+    it('respects `scaleExtent` constraints on initial display', () => {
+      const scaleExtent = { min: 0.2, max: 0.8 };
+
+      let renderedComponent = shallow(
+        <Tree data={mockData} scaleExtent={scaleExtent} zoom={0.9} />
+      );
+      expect(renderedComponent.find(TransitionGroupWrapper).prop('transform')).toContain(
+        `scale(${scaleExtent.max})`
+      );
+
+      renderedComponent = shallow(<Tree data={mockData} scaleExtent={scaleExtent} zoom={0.1} />);
+      expect(renderedComponent.find(TransitionGroupWrapper).prop('transform')).toContain(
+        `scale(${scaleExtent.min})`
       );
     });
 
@@ -323,6 +2101,486 @@ describe('<Tree />', () => {
     });
   });
 
+  describe('Imperative API', () => {
+    const getNodeId = (renderedComponent, name) =>
+      renderedComponent
+        .find(Node)
+        .filterWhere(n => n.prop('data').name === name)
+        .prop('data').__rd3t.id;
+
+    it('collapses all nodes via `collapseAll`', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      renderedComponent.instance().collapseAll();
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(1);
+    });
+
+    it('expands all nodes via `expandAll`', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} initialDepth={0} />);
+      expect(renderedComponent.find(Node).length).toBe(1);
+      renderedComponent.instance().expandAll();
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(5);
+    });
+
+    it('expands all ancestors of the target node via `expandToNode`', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      const targetId = getNodeId(renderedComponent, '3: Son of A');
+      renderedComponent.instance().collapseAll();
+      renderedComponent.update();
+      renderedComponent.instance().expandToNode(targetId);
+      renderedComponent.update();
+      expect(
+        renderedComponent.find(Node).filterWhere(n => n.prop('data').__rd3t.id === targetId).length
+      ).toBe(1);
+    });
+
+    it('ignores unknown node ids in `expandToNode`', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} initialDepth={0} />);
+      renderedComponent.instance().expandToNode('unknown-id');
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(1);
+    });
+
+    it('toggles the target node via `toggleNode`', () => {
+      const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />);
+      const targetId = getNodeId(renderedComponent, 'Level 2: A');
+      renderedComponent.instance().toggleNode(targetId);
+      renderedComponent.update();
+      expect(renderedComponent.find(Node).length).toBe(3);
+    });
+
+    describe('centerOnNode, zoomTo & fitToView', () => {
+      let container;
+      let rectSpy;
+
+      beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        rectSpy = jest
+          .spyOn(Element.prototype, 'getBoundingClientRect')
+          .mockReturnValue({ width: 500, height: 400, top: 0, left: 0, right: 500, bottom: 400 });
+        // jsdom does not implement `SVGAnimatedLength`, which d3-zoom reads to determine the viewport.
+        Object.defineProperty(SVGSVGElement.prototype, 'width', {
+          value: { baseVal: { value: 500 } },
+          configurable: true,
+        });
+        Object.defineProperty(SVGSVGElement.prototype, 'height', {
+          value: { baseVal: { value: 400 } },
+          configurable: true,
+        });
+      });
+
+      afterEach(() => {
+        rectSpy.mockRestore();
+        delete SVGSVGElement.prototype.width;
+        delete SVGSVGElement.prototype.height;
+        document.body.removeChild(container);
+      });
+
+      const getTransform = renderedComponent =>
+        renderedComponent
+          .find('g.rd3t-g')
+          .getDOMNode()
+          .getAttribute('transform');
+
+      it('centers the SVG canvas on the target node via `centerOnNode`', () => {
+        const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />, {
+          attachTo: container,
+        });
+        const rootId = getNodeId(renderedComponent, 'Top Level');
+        renderedComponent.instance().centerOnNode(rootId);
+        expect(getTransform(renderedComponent)).toBe('translate(250,200) scale(1)');
+        renderedComponent.detach();
+      });
+
+      it('applies the `zoom` option in `centerOnNode`, constrained by `scaleExtent`', () => {
+        const renderedComponent = mount(
+          <Tree data={mockTree_D1N2_D2N2} scaleExtent={{ min: 0.5, max: 2 }} />,
+          { attachTo: container }
+        );
+        const rootId = getNodeId(renderedComponent, 'Top Level');
+        renderedComponent.instance().centerOnNode(rootId, { zoom: 3 });
+        expect(getTransform(renderedComponent)).toBe('translate(250,200) scale(2)');
+        renderedComponent.detach();
+      });
+
+      it('resolves node positions from the cached layout', () => {
+        const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />, {
+          attachTo: container,
+        });
+        const generateTreeSpy = jest.spyOn(Tree.prototype, 'generateTree');
+        renderedComponent.instance().centerOnNode(getNodeId(renderedComponent, 'Level 2: B'));
+        renderedComponent.instance().fitToView();
+        expect(generateTreeSpy).not.toHaveBeenCalled();
+        generateTreeSpy.mockRestore();
+        renderedComponent.detach();
+      });
+
+      it('keeps the center of the canvas fixed when zooming via `zoomTo`', () => {
+        const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />, {
+          attachTo: container,
+        });
+        renderedComponent.instance().zoomTo(0.5);
+        expect(getTransform(renderedComponent)).toBe('translate(125,100) scale(0.5)');
+        renderedComponent.instance().zoomTo(5);
+        expect(getTransform(renderedComponent)).toBe('translate(0,0) scale(1)');
+        renderedComponent.detach();
+      });
+
+      it('does not change the zoom level via `zoomTo` if `zoomable` is false', () => {
+        const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} zoomable={false} />, {
+          attachTo: container,
+        });
+        renderedComponent.instance().zoomTo(0.5);
+        expect(getTransform(renderedComponent)).toBe('translate(0,0) scale(1)');
+        renderedComponent.detach();
+      });
+
+      it('fits all nodes into the SVG canvas via `fitToView`, constrained by `scaleExtent`', () => {
+        const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />, {
+          attachTo: container,
+        });
+        renderedComponent.instance().fitToView();
+        expect(getTransform(renderedComponent)).toBe('translate(110,235) scale(1)');
+        renderedComponent.detach();
+      });
+
+      it('fits all nodes into the SVG canvas on mount if `fitOnMount` is set', () => {
+        const renderedComponent = mount(
+          <Tree
+            data={mockTree_D1N2_D2N2}
+            nodeSize={{ x: 200, y: 200 }}
+            translate={{ x: 10, y: 10 }}
+            fitOnMount
+          />,
+          { attachTo: container }
+        );
+        expect(getTransform(renderedComponent)).toBe('translate(90,240) scale(0.8)');
+        renderedComponent.detach();
+      });
+
+      it('centers the SVG canvas on the root node on mount if `centerRoot` is set', () => {
+        const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} centerRoot />, {
+          attachTo: container,
+        });
+        expect(getTransform(renderedComponent)).toBe('translate(250,200) scale(1)');
+        renderedComponent.detach();
+      });
+
+      describe('viewportCulling', () => {
+        const getRenderedNames = renderedComponent =>
+          renderedComponent.find(Node).map(n => n.prop('data').name);
+
+        it('only renders nodes & links intersecting the visible area of the SVG canvas', () => {
+          const renderedComponent = mount(
+            <Tree
+              data={mockTree_D1N2_D2N2}
+              translate={{ x: 0, y: -1 }}
+              viewportCulling
+              viewportCullingMargin={0}
+            />,
+            { attachTo: container }
+          );
+          renderedComponent.update();
+          expect(getRenderedNames(renderedComponent)).toEqual([
+            'Top Level',
+            'Level 2: B',
+            '3: Daughter of A',
+          ]);
+          expect(renderedComponent.find(Link).length).toBe(1);
+          renderedComponent.detach();
+        });
+
+        it('updates the rendered nodes & links as the tree is zoomed', () => {
+          const renderedComponent = mount(
+            <Tree
+              data={mockTree_D1N2_D2N2}
+              translate={{ x: 0, y: -1 }}
+              viewportCulling
+              viewportCullingMargin={0}
+            />,
+            { attachTo: container }
+          );
+          renderedComponent.instance().zoomTo(0.1);
+          renderedComponent.update();
+          expect(renderedComponent.find(Node).length).toBe(5);
+          expect(renderedComponent.find(Link).length).toBe(4);
+          renderedComponent.detach();
+        });
+
+        it('only rebuilds its spatial indexes once the layout changes', () => {
+          const renderedComponent = mount(
+            <Tree
+              data={mockTree_D1N2_D2N2}
+              translate={{ x: 0, y: -1 }}
+              viewportCulling
+              viewportCullingMargin={0}
+            />,
+            { attachTo: container }
+          );
+          const { nodeIndex } = renderedComponent.instance().layoutIndexes;
+          renderedComponent.instance().zoomTo(0.1);
+          renderedComponent.update();
+          expect(renderedComponent.find(Node).length).toBe(5);
+          expect(renderedComponent.instance().layoutIndexes.nodeIndex).toBe(nodeIndex);
+
+          renderedComponent.instance().toggleNode(getNodeId(renderedComponent, 'Level 2: A'));
+          renderedComponent.update();
+          expect(renderedComponent.find(Node).length).toBe(3);
+          expect(renderedComponent.instance().layoutIndexes.nodeIndex).not.toBe(nodeIndex);
+          renderedComponent.detach();
+        });
+
+        it('does not update the rendered area while the visible area stays within its margin', () => {
+          const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} viewportCulling />, {
+            attachTo: container,
+          });
+          const { viewport } = renderedComponent.state();
+          expect(viewport).toEqual({ minX: -200, minY: -200, maxX: 700, maxY: 600 });
+          renderedComponent.instance().applyZoomTransform(zoomIdentity.translate(-150, 100));
+          expect(renderedComponent.state().viewport).toBe(viewport);
+          renderedComponent.instance().applyZoomTransform(zoomIdentity.translate(-250, 0));
+          expect(renderedComponent.state().viewport).toEqual({
+            minX: 50,
+            minY: -200,
+            maxX: 950,
+            maxY: 600,
+          });
+          renderedComponent.detach();
+        });
+
+        it('starts culling when `viewportCulling` is enabled after mounting', () => {
+          const renderedComponent = mount(
+            <Tree
+              data={mockTree_D1N2_D2N2}
+              translate={{ x: 0, y: -1 }}
+              viewportCullingMargin={0}
+            />,
+            { attachTo: container }
+          );
+          expect(renderedComponent.find(Node).length).toBe(5);
+          renderedComponent.setProps({ viewportCulling: true });
+          renderedComponent.update();
+          expect(renderedComponent.find(Node).length).toBe(3);
+          renderedComponent.detach();
+        });
+
+        it('renders nothing until the size of the SVG canvas is known', () => {
+          const renderedComponent = shallow(<Tree data={mockTree_D1N2_D2N2} viewportCulling />, {
+            disableLifecycleMethods: true,
+          });
+          expect(renderedComponent.find(Node).length).toBe(0);
+          expect(renderedComponent.find(Link).length).toBe(0);
+        });
+      });
+
+      describe('canvas renderer', () => {
+        let context;
+        let getContextSpy;
+
+        beforeEach(() => {
+          context = [
+            'setTransform',
+            'clearRect',
+            'stroke',
+            'beginPath',
+            'arc',
+            'fill',
+            'setLineDash',
+            'save',
+            'restore',
+            'translate',
+            'rotate',
+            'fillText',
+            'strokeText',
+          ].reduce((ctx, method) => ({ ...ctx, [method]: jest.fn() }), {
+            isPointInStroke: jest.fn().mockReturnValue(false),
+          });
+          getContextSpy = jest
+            .spyOn(HTMLCanvasElement.prototype, 'getContext')
+            .mockReturnValue(context);
+          global.Path2D = class {
+            constructor(d) {
+              this.d = d;
+            }
+          };
+        });
+
+        afterEach(() => {
+          getContextSpy.mockRestore();
+          delete global.Path2D;
+        });
+
+        it('draws nodes & links onto a canvas instead of rendering SVG elements', () => {
+          const renderedComponent = mount(
+            <Tree
+              data={mockTree_D1N2_D2N2}
+              renderer="canvas"
+              pathFunc="straight"
+              translate={{ x: 100, y: 250 }}
+            />,
+            { attachTo: container }
+          );
+          expect(renderedComponent.find('canvas.rd3t-canvas').length).toBe(1);
+          expect(renderedComponent.find(Node).length).toBe(0);
+          expect(renderedComponent.find(Link).length).toBe(0);
+          context.arc.mockClear();
+          context.stroke.mockClear();
+          context.fillText.mockClear();
+          renderedComponent.instance().drawCanvas();
+          expect(context.arc).toHaveBeenCalledTimes(5);
+          expect(context.fillText).toHaveBeenCalledWith('Top Level', 40, 0);
+          const linkPaths = context.stroke.mock.calls
+            .filter(([path]) => path)
+            .map(([path]) => path.d);
+          expect(linkPaths).toContain('M0,0L140,-70');
+          expect(linkPaths.length).toBe(4);
+          renderedComponent.detach();
+        });
+
+        it('fires `onNodeClick` & toggles the node when a drawn node is clicked', () => {
+          const onNodeClickSpy = jest.fn();
+          const renderedComponent = mount(
+            <Tree data={mockTree_D1N2_D2N2} renderer="canvas" onNodeClick={onNodeClickSpy} />,
+            { attachTo: container }
+          );
+          renderedComponent.find('svg').simulate('click', { clientX: 145, clientY: -60 });
+          expect(onNodeClickSpy).toHaveBeenCalledTimes(1);
+          expect(onNodeClickSpy.mock.calls[0][0].data.name).toBe('Level 2: A');
+          expect(
+            renderedComponent.instance().canvasScene.nodeIndex.search({
+              minX: -Infinity,
+              minY: -Infinity,
+              maxX: Infinity,
+              maxY: Infinity,
+            }).length
+          ).toBe(3);
+          renderedComponent.detach();
+        });
+
+        it('re-uses the canvas scene until the layout changes', () => {
+          const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} renderer="canvas" />, {
+            attachTo: container,
+          });
+          const { canvasScene } = renderedComponent.instance();
+          renderedComponent.setProps({ svgClassName: 'unrelated' });
+          expect(renderedComponent.instance().canvasScene).toBe(canvasScene);
+          renderedComponent.setProps({ pathFunc: 'step' });
+          expect(renderedComponent.instance().canvasScene).not.toBe(canvasScene);
+          expect(renderedComponent.instance().canvasScene.nodeIndex).toBe(canvasScene.nodeIndex);
+          renderedComponent.detach();
+        });
+
+        it('fires `onLinkClick` when a drawn link is clicked', () => {
+          const onLinkClickSpy = jest.fn();
+          const renderedComponent = mount(
+            <Tree data={mockTree_D1N2_D2N2} renderer="canvas" onLinkClick={onLinkClickSpy} />,
+            { attachTo: container }
+          );
+          context.isPointInStroke.mockReturnValue(true);
+          renderedComponent.find('svg').simulate('click', { clientX: 70, clientY: 35 });
+          expect(onLinkClickSpy).toHaveBeenCalledTimes(1);
+          const [source, target] = onLinkClickSpy.mock.calls[0];
+          expect(source.data.name).toBe('Top Level');
+          expect(target.data.name).toBe('Level 2: B');
+          renderedComponent.detach();
+        });
+
+        it('fires mouse over/out callbacks as the pointer enters & leaves drawn nodes', () => {
+          const onNodeMouseOverSpy = jest.fn();
+          const onNodeMouseOutSpy = jest.fn();
+          const renderedComponent = mount(
+            <Tree
+              data={mockTree_D1N2_D2N2}
+              renderer="canvas"
+              onNodeMouseOver={onNodeMouseOverSpy}
+              onNodeMouseOut={onNodeMouseOutSpy}
+            />,
+            { attachTo: container }
+          );
+          const svg = renderedComponent.find('svg');
+          svg.simulate('mousemove', { clientX: 5, clientY: 5 });
+          svg.simulate('mousemove', { clientX: -5, clientY: 0 });
+          expect(onNodeMouseOverSpy).toHaveBeenCalledTimes(1);
+          expect(onNodeMouseOverSpy.mock.calls[0][0].data.name).toBe('Top Level');
+          expect(onNodeMouseOutSpy).not.toHaveBeenCalled();
+          svg.simulate('mousemove', { clientX: 70, clientY: 35 });
+          expect(onNodeMouseOutSpy).toHaveBeenCalledTimes(1);
+          expect(onNodeMouseOutSpy.mock.calls[0][0].data.name).toBe('Top Level');
+          renderedComponent.detach();
+        });
+      });
+
+      describe('on resize', () => {
+        let resizeCallback;
+        const observe = jest.fn();
+        const disconnect = jest.fn();
+
+        beforeEach(() => {
+          global.ResizeObserver = jest.fn(callback => {
+            resizeCallback = callback;
+            return { observe, disconnect };
+          });
+        });
+
+        afterEach(() => {
+          delete global.ResizeObserver;
+          observe.mockClear();
+          disconnect.mockClear();
+        });
+
+        const resize = (width, height) => resizeCallback([{ contentRect: { width, height } }]);
+
+        it('re-fits the tree with an animation if `fitOnResize` is set', () => {
+          const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} fitOnResize />, {
+            attachTo: container,
+          });
+          const fitSpy = jest.spyOn(renderedComponent.instance(), 'fitToView');
+          expect(observe).toHaveBeenCalledTimes(1);
+          // The initial notification of the observed size does not trigger a re-fit.
+          resize(500, 400);
+          expect(fitSpy).not.toHaveBeenCalled();
+          resize(800, 600);
+          expect(fitSpy).toHaveBeenCalledWith({ animate: true });
+          renderedComponent.detach();
+        });
+
+        it('re-centers the root node with an animation if `centerRoot` is set', () => {
+          const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} centerRoot />, {
+            attachTo: container,
+          });
+          const centerSpy = jest.spyOn(renderedComponent.instance(), 'centerOnNode');
+          resize(800, 600);
+          expect(centerSpy).toHaveBeenCalledWith(getNodeId(renderedComponent, 'Top Level'), {
+            animate: true,
+          });
+          renderedComponent.detach();
+        });
+
+        it('ignores resizes if neither `fitOnResize` nor `centerRoot` is set', () => {
+          const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />, {
+            attachTo: container,
+          });
+          const fitSpy = jest.spyOn(renderedComponent.instance(), 'fitToView');
+          const centerSpy = jest.spyOn(renderedComponent.instance(), 'centerOnNode');
+          resize(800, 600);
+          expect(fitSpy).not.toHaveBeenCalled();
+          expect(centerSpy).not.toHaveBeenCalled();
+          renderedComponent.detach();
+        });
+
+        it('stops observing the SVG canvas on unmount', () => {
+          const renderedComponent = mount(<Tree data={mockTree_D1N2_D2N2} />, {
+            attachTo: container,
+          });
+          renderedComponent.unmount();
+          expect(disconnect).toHaveBeenCalledTimes(1);
+        });
+      });
+    });
+  });
+
   describe('Event handlers', () => {
     describe('onNodeClick', () => {
       it('calls the onNodeClick callback when a node is toggled', () => {
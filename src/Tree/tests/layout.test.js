@@ -0,0 +1,41 @@
+import Tree from '../index.tsx';
+import { computeLayout, handleLayoutRequest } from '../layout.ts';
+
+const data = Tree.assignInternalProperties({
+  name: 'Root',
+  children: [{ name: 'A', children: [{ name: 'A1' }] }, { name: 'B' }],
+});
+const props = { ...Tree.defaultProps, orientation: 'vertical', nodeSize: { x: 100, y: 50 } };
+
+describe('computeLayout', () => {
+  it('lays out the visible nodes of `data` according to the layout props', () => {
+    const { nodes, links, stackedNodes } = computeLayout(data, props);
+    expect(nodes.map(node => [node.data.name, node.x, node.y])).toEqual([
+      ['Root', 0, 0],
+      ['A', -50, 50],
+      ['B', 50, 50],
+      ['A1', -50, 100],
+    ]);
+    expect(links.length).toBe(3);
+    expect(stackedNodes.size).toBe(0);
+  });
+
+  it('leaves the collapse state of `data` untouched', () => {
+    computeLayout(data, { ...props, initialDepth: 0 });
+    expect(Tree.getCollapsedIds(data)).toEqual([]);
+  });
+});
+
+describe('handleLayoutRequest', () => {
+  it('responds with the serialized layout of the requested `data`', () => {
+    const { requestId, layout } = handleLayoutRequest({ requestId: 3, data, props });
+    expect(requestId).toBe(3);
+    expect(layout.nodes.map(({ id, parentId, x, y }) => [id, parentId, x, y])).toEqual([
+      ['0', null, 0, 0],
+      ['0-0', '0', -50, 50],
+      ['0-1', '0', 50, 50],
+      ['0-0-0', '0-0', -50, 100],
+    ]);
+    expect(layout.stackedIds).toEqual([]);
+  });
+});
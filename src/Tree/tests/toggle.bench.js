@@ -0,0 +1,113 @@
+import clone from 'clone';
+
+import Tree from '../index.tsx';
+import hugeTree from '../../../demo/src/examples/hugeTree';
+
+// Run via `npm run bench`. Compares toggling every node of `hugeTree` by deep cloning
+// `state.data` (as `handleNodeToggle` used to) against the current path-copying updates.
+
+// Every node is toggled twice, i.e. collapsed & expanded again (or vice versa).
+const TOGGLE_ROUNDS = 2;
+
+const createTree = props => {
+  const tree = new Tree({ ...Tree.defaultProps, data: hugeTree, ...props });
+  tree.setState = nextState => {
+    tree.state = { ...tree.state, ...nextState };
+  };
+  return tree;
+};
+
+const findNodeById = (nodeId, nodeSet) => {
+  for (const node of nodeSet) {
+    if (node.__rd3t.id === nodeId) {
+      return node;
+    }
+    const match = node.children && findNodeById(nodeId, node.children);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+};
+
+const deepCloneToggle = tree => nodeId => {
+  const data = clone(tree.state.data);
+  const targetNodeDatum = findNodeById(nodeId, data);
+  if (targetNodeDatum.__rd3t.collapsed) {
+    Tree.expandNode(targetNodeDatum);
+    if (tree.props.shouldCollapseNeighborNodes) {
+      Tree.walkNodes(data, node => {
+        node.__rd3t.depth === targetNodeDatum.__rd3t.depth &&
+          node !== targetNodeDatum &&
+          Tree.collapseNode(node);
+      });
+    }
+  } else {
+    Tree.collapseNode(targetNodeDatum);
+  }
+  tree.setState({ data });
+};
+
+const pathCopyToggle = tree => nodeId => tree.handleNodeToggle(nodeId);
+
+const countCopiedNodes = (data, prevData) => {
+  const prevNodes = new Set();
+  Tree.walkNodes(prevData, node => prevNodes.add(node));
+  let copied = 0;
+  Tree.walkNodes(data, node => {
+    !prevNodes.has(node) && copied++;
+  });
+  return copied;
+};
+
+const run = (name, props, createToggle) => {
+  const tree = createTree(props);
+  const toggle = createToggle(tree);
+  const nodeIds = Array.from(tree.state.nodePaths.keys());
+  let copied = 0;
+  let toggles = 0;
+  let duration = 0;
+  for (let round = 0; round < TOGGLE_ROUNDS; round++) {
+    nodeIds.forEach(nodeId => {
+      const prevData = tree.state.data;
+      const startTime = performance.now();
+      toggle(nodeId);
+      duration += performance.now() - startTime;
+      copied += countCopiedNodes(tree.state.data, prevData);
+      toggles++;
+    });
+  }
+  const msPerToggle = (duration / toggles).toFixed(3);
+  const copiedPerToggle = Math.round(copied / toggles);
+  // eslint-disable-next-line no-console
+  console.log(
+    `${name}: ${toggles} toggles, ${msPerToggle}ms & ${copiedPerToggle} copied nodes per toggle`
+  );
+  return { data: tree.state.data, copied };
+};
+
+describe('toggling nodes of `hugeTree`', () => {
+  it('copies fewer nodes than deep cloning `state.data`', () => {
+    const deepClone = run('deep clone', {}, deepCloneToggle);
+    const pathCopy = run('path copy', {}, pathCopyToggle);
+
+    expect(Tree.getCollapsedIds(pathCopy.data)).toEqual(Tree.getCollapsedIds(deepClone.data));
+    expect(pathCopy.copied).toBeLessThan(deepClone.copied);
+  });
+
+  it('copies fewer nodes than deep cloning `state.data` with `shouldCollapseNeighborNodes`', () => {
+    const deepClone = run(
+      'deep clone (collapse neighbors)',
+      { shouldCollapseNeighborNodes: true },
+      deepCloneToggle
+    );
+    const pathCopy = run(
+      'path copy (collapse neighbors)',
+      { shouldCollapseNeighborNodes: true },
+      pathCopyToggle
+    );
+
+    expect(Tree.getCollapsedIds(pathCopy.data)).toEqual(Tree.getCollapsedIds(deepClone.data));
+    expect(pathCopy.copied).toBeLessThan(deepClone.copied);
+  });
+});
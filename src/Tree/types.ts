@@ -1,13 +1,26 @@
 import { HierarchyPointNode } from 'd3-hierarchy';
 import { SyntheticEvent } from 'react';
 import {
+  AnimationEasingFunction,
+  AnimationEasingOption,
   Orientation,
   PathClassFunction,
   PathFunction,
   PathFunctionOption,
   Point,
+  GetAttributesFunction,
+  GetChildrenFunction,
+  GetDepthOffsetFunction,
+  GetLabelFunction,
+  GetNodeIdFunction,
+  GetNodeSizeFunction,
+  GetSideFunction,
+  Layout,
   RawNodeDatum,
+  Renderer,
   RenderCustomNodeElementFn,
+  SeparationFunction,
+  SortChildrenFunction,
   TreeNodeDatum,
 } from '../types/common';
 
@@ -22,6 +35,60 @@ export type TreeLinkEventCallback = (
   event: SyntheticEvent
 ) => any;
 
+/**
+ * Options accepted by the `Tree.centerOnNode` imperative API method.
+ */
+export interface TreeCenterOptions {
+  /**
+   * Zoom level to apply while centering. Constrained by `scaleExtent`.
+   * Defaults to the current zoom level.
+   */
+  zoom?: number;
+  /**
+   * Animates the pan/zoom over `transitionDuration` milliseconds instead of jumping to
+   * the target position.
+   */
+  animate?: boolean;
+}
+
+/**
+ * Options accepted by the `Tree.zoomTo` imperative API method.
+ */
+export interface TreeZoomOptions {
+  /**
+   * Animates the zoom over `transitionDuration` milliseconds instead of jumping to
+   * the target zoom level.
+   */
+  animate?: boolean;
+}
+
+/**
+ * A laid out tree in a form which can be passed between threads: each node is referenced by
+ * its `id`, and its parent by `parentId` (`null` for root nodes).
+ */
+export interface SerializedTreeLayout {
+  nodes: { id: string; parentId: string | null; depth: number; x: number; y: number }[];
+  stackedIds: string[];
+}
+
+/**
+ * Message sent to the layout worker (see `layoutInWorker`), asking it to lay out `data`
+ * according to the (serializable) layout `props`.
+ */
+export interface LayoutWorkerRequest {
+  requestId: number;
+  data: TreeNodeDatum[];
+  props: Partial<TreeProps>;
+}
+
+/**
+ * Message sent back by the layout worker in response to a `LayoutWorkerRequest`.
+ */
+export interface LayoutWorkerResponse {
+  requestId: number;
+  layout: SerializedTreeLayout;
+}
+
 /**
  * Props accepted by the `Tree` component.
  *
@@ -32,10 +99,77 @@ export interface TreeProps {
    * The root node object, in which child nodes (also of type `RawNodeDatum`)
    * are recursively defined in the `children` key.
    *
-   * `react-d3-tree` will automatically attach a unique `id` attribute to each node in the DOM,
+   * `react-d3-tree` will automatically attach `id` & `data-id` attributes to each node in the DOM,
    * as well as `data-source-id` & `data-target-id` attributes to each link connecting two nodes.
+   *
+   * Node ids are determined by {@link TreeProps.getNodeId | getNodeId}.
+   *
+   * If an array with multiple root nodes is passed, all of them are rendered as a forest
+   * (see {@link TreeProps.forestGap | forestGap} & {@link TreeProps.forestVirtualRoot | forestVirtualRoot}).
+   *
+   * Nodes of any other shape can be rendered by providing
+   * {@link TreeProps.getChildren | getChildren}, {@link TreeProps.getLabel | getLabel} and
+   * {@link TreeProps.getAttributes | getAttributes}.
+   */
+  data: RawNodeDatum[] | RawNodeDatum | Record<string, any>[] | Record<string, any>;
+
+  /**
+   * Derives the `id` of each node, which is used for the node's internal `__rd3t.id`,
+   * the DOM `id` & `data-id` attributes of its element, the `data-source-id`/`data-target-id`
+   * attributes of its links, and any id-based APIs (e.g.
+   * {@link TreeProps.collapsedIds | collapsedIds}).
+   *
+   * By default, ids are derived from each node's position in the hierarchy (e.g. `0-1-0` for the
+   * first child of the root node's second child), so inserting or removing a node changes the ids
+   * of its following siblings and their descendants. As such ids repeat across trees, the DOM
+   * `id` of each node element is prefixed with a per-instance `rd3t-svg-<uuid>-` in this case,
+   * while its `data-id` attribute holds the plain id.
+   * Providing `getNodeId` allows ids to be correlated with records outside the tree instead,
+   * which also preserves the collapse state of nodes across updates to `data`:
+   *
+   * ```js
+   * const getNodeId = datum => datum.attributes.recordId;
+   *
+   * <Tree data={data} getNodeId={getNodeId} />
+   * ```
+   *
+   * See the `GetNodeIdFunction` type for more details.
+   *
+   * Like a change of `data`, passing a different `getNodeId` rebuilds the tree's nodes (e.g.
+   * discarding children loaded via `loadChildren`). Define it outside of the rendering component
+   * or memoize it.
+   *
+   * {@link Tree.defaultProps.getNodeId | Default value}
+   */
+  getNodeId?: GetNodeIdFunction;
+
+  /**
+   * Returns the children of each node in `data`. Used to build the tree's layout and to
+   * expand/collapse nodes.
+   *
+   * The returned children are exposed via the `children` key of each node's `TreeNodeDatum`,
+   * which is also what is passed to event handlers and `renderCustomNodeElement`.
+   *
+   * Like a change of `data`, passing a different `getChildren` rebuilds the tree's nodes.
+   *
+   * {@link Tree.defaultProps.getChildren | Default value}
+   */
+  getChildren?: GetChildrenFunction;
+
+  /**
+   * Returns the primary label that is rendered for each node by the default node element.
+   *
+   * {@link Tree.defaultProps.getLabel | Default value}
    */
-  data: RawNodeDatum[] | RawNodeDatum;
+  getLabel?: GetLabelFunction;
+
+  /**
+   * Returns the key-value pairs that are rendered as secondary labels for each node
+   * by the default node element.
+   *
+   * {@link Tree.defaultProps.getAttributes | Default value}
+   */
+  getAttributes?: GetAttributesFunction;
 
   /**
    * Custom render function that will be used for every node in the tree.
@@ -104,15 +238,117 @@ export interface TreeProps {
    *
    * `horizontal` - Tree expands along x-axis (left-to-right).
    *
+   * `horizontal-reverse` - Tree expands along x-axis (right-to-left).
+   *
    * `vertical` - Tree expands along y-axis (top-to-bottom).
    *
-   * Additionally, passing a negative value to {@link TreeProps.depthFactor | depthFactor} will
-   * invert the tree's direction (i.e. right-to-left, bottom-to-top).
+   * `vertical-reverse` - Tree expands along y-axis (bottom-to-top).
+   *
+   * The depth (`y`) of each `HierarchyPointNode` in a reversed tree is negative.
+   *
+   * `radial` - Tree expands outwards from the center, with the root at `(0, 0)`.
+   * The breadth of the tree is spread across the angles between
+   * {@link TreeProps.startAngle | startAngle} & {@link TreeProps.endAngle | endAngle}, so the
+   * `x` of each `HierarchyPointNode` holds the node's angle (in radians) and its `y` the node's
+   * distance from the center.
    *
    * {@link Tree.defaultProps.orientation | Default value}
    */
   orientation?: Orientation;
 
+  /**
+   * Determines the algorithm used to position the tree's nodes.
+   *
+   * `tidy` - Places each node one level deeper than its parent, using d3's
+   * [tidy tree](https://github.com/d3/d3-hierarchy#tree) layout.
+   *
+   * `cluster` - Aligns all leaf nodes at the same (deepest) level, using d3's
+   * [cluster](https://github.com/d3/d3-hierarchy#cluster) layout. Useful for dendrograms,
+   * e.g. phylogenetic trees.
+   *
+   * `mindmap` - Places the root in the middle, with its children split between its left and
+   * right (or top and bottom for `vertical` trees). See {@link TreeProps.getSide | getSide}.
+   * Multiple roots are always placed next to each other, ignoring
+   * {@link TreeProps.forestVirtualRoot | forestVirtualRoot}. Not supported by `radial` trees.
+   *
+   * `indented` - Renders the tree as an outline (like a file explorer), in which each visible
+   * node occupies its own row and is indented by its depth. Rows are `nodeSize` apart, ignoring
+   * {@link TreeProps.separation | separation}; predefined `pathFunc` options are drawn as `elbow`.
+   * Multiple roots are always stacked, ignoring {@link TreeProps.forestVirtualRoot | forestVirtualRoot}.
+   * Best combined with a `horizontal` orientation. Not supported by `radial` trees.
+   *
+   * {@link Tree.defaultProps.layout | Default value}
+   */
+  layout?: Layout;
+
+  /**
+   * Enables a compact org-chart mode for `tidy` layouts, in which the children of a node are
+   * stacked in {@link TreeProps.compactColumns | compactColumns} columns below it if all of them
+   * are leaves, instead of each occupying its own slot along the tree's breadth.
+   * Stacked leaves are connected to their parent by elbows, unless a custom `pathFunc` is used.
+   *
+   * {@link Tree.defaultProps.compact | Default value}
+   */
+  compact?: boolean;
+
+  /**
+   * The maximum number of columns leaves are stacked in if `compact` is set.
+   *
+   * {@link Tree.defaultProps.compactColumns | Default value}
+   */
+  compactColumns?: number;
+
+  /**
+   * Determines the order of siblings, without changing the order of the `children` in `data`.
+   * Multiple roots always keep their order in `data`.
+   *
+   * Accepts any comparator of two `TreeNodeDatum`s, including the presets exported as `sortBy`:
+   *
+   * ```js
+   * import Tree, { sortBy } from 'react-d3-tree';
+   *
+   * <Tree data={data} sortChildren={sortBy.name()} />
+   * <Tree data={data} sortChildren={sortBy.descendantCount('desc')} />
+   * <Tree data={data} sortChildren={sortBy.attribute('salary', 'desc')} />
+   * ```
+   *
+   * {@link Tree.defaultProps.sortChildren | Default value}
+   */
+  sortChildren?: SortChildrenFunction;
+
+  /**
+   * Determines on which side of the root each of its children is placed if `layout` is
+   * `mindmap`. `left` nodes are placed before the root along the tree's depth, i.e. on its left
+   * for `horizontal` and above it for `vertical` trees.
+   *
+   * By default, children are distributed so that both sides contain a similar number of nodes.
+   *
+   * {@link Tree.defaultProps.getSide | Default value}
+   */
+  getSide?: GetSideFunction;
+
+  /**
+   * The angle (in radians, clockwise from 12 o'clock) at which a `radial` tree starts.
+   *
+   * {@link Tree.defaultProps.startAngle | Default value}
+   */
+  startAngle?: number;
+
+  /**
+   * The angle (in radians, clockwise from 12 o'clock) at which a `radial` tree ends.
+   * E.g. `startAngle: -Math.PI / 2` & `endAngle: Math.PI / 2` render a half-circle.
+   *
+   * {@link Tree.defaultProps.endAngle | Default value}
+   */
+  endAngle?: number;
+
+  /**
+   * Distance (in px) between the center of a `radial` tree and its root node.
+   *
+   * {@link Tree.defaultProps.innerRadius | Default value}
+   */
+  innerRadius?: number;
+
   /**
    * Translates the graph along the x/y axis by the specified amount of pixels.
    *
@@ -122,12 +358,40 @@ export interface TreeProps {
    */
   translate?: Point;
 
+  /**
+   * Pans & zooms the tree on mount so that all of its nodes fit into the SVG canvas.
+   * The zoom level is constrained by `scaleExtent`. Overrides `translate` & `zoom`.
+   *
+   * {@link Tree.defaultProps.fitOnMount | Default value}
+   */
+  fitOnMount?: boolean;
+
+  /**
+   * Re-fits the tree into the SVG canvas (as with `fitOnMount`) whenever the canvas
+   * is resized. Requires `ResizeObserver` support in the browser.
+   *
+   * {@link Tree.defaultProps.fitOnResize | Default value}
+   */
+  fitOnResize?: boolean;
+
+  /**
+   * Pans the tree on mount and whenever the SVG canvas is resized, so that the (first)
+   * root node sits at the center of the canvas. The current zoom level is kept.
+   *
+   * Ignored in favour of `fitOnMount`/`fitOnResize` where those apply.
+   *
+   * {@link Tree.defaultProps.centerRoot | Default value}
+   */
+  centerRoot?: boolean;
+
   /**
    * The draw function (or `d`) used to render `path`/`link` elements. Accepts a predefined
    * `PathFunctionOption` or a user-defined `PathFunction`.
    *
    * See the `PathFunction` type for more information.
    *
+   * Trees with an `indented` {@link TreeProps.layout | layout} always draw predefined options as `elbow`.
+   *
    * For details on draw functions, see: https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/d
    *
    * {@link Tree.defaultProps.pathFunc | Default value}
@@ -149,8 +413,6 @@ export interface TreeProps {
   /**
    * Determines the spacing between parent & child nodes.
    *
-   * **Tip: Negative values invert the tree's direction.**
-   *
    * `node.y = node.depth * depthFactor`
    *
    * Example: `depthFactor: 0` renders all nodes on the same height (since node.y === 0 for all).
@@ -159,6 +421,49 @@ export interface TreeProps {
    */
   depthFactor?: number;
 
+  /**
+   * Determines the offset (in px) of each node from the root along the tree's depth, allowing
+   * the spacing to vary per level. Takes precedence over {@link TreeProps.depthFactor | depthFactor}.
+   *
+   * Called with the level the node is placed at (i.e. its `depth`, or the deepest level for the
+   * leaves of a `cluster`) and its `HierarchyPointNode`:
+   *
+   * ```js
+   * <Tree data={data} getDepthOffset={depth => (depth === 0 ? 0 : 400 + (depth - 1) * 120)} />
+   * ```
+   *
+   * Alternatively, accepts an array of offsets per level, e.g. `[0, 400, 520]`. Levels beyond
+   * the end of the array continue with the spacing between its last two offsets, or are spaced
+   * by `nodeSize` if it has fewer (e.g. an empty array places the levels as by default).
+   *
+   * {@link Tree.defaultProps.getDepthOffset | Default value}
+   */
+  getDepthOffset?: GetDepthOffsetFunction | number[];
+
+  /**
+   * Loads the children of nodes flagged via `hasChildren` on demand, allowing large hierarchies
+   * to be fetched incrementally.
+   *
+   * Called with the node's `TreeNodeDatum` when a node with `hasChildren: true` but no `children`
+   * is expanded. The resolved children are merged into the tree and the node is expanded.
+   * Resolving `null` or `undefined` is treated like an empty array.
+   * While loading, `nodeDatum.__rd3t.loading` is set and the node element receives the
+   * `rd3t-node--loading` className.
+   *
+   * {@link Tree.defaultProps.loadChildren | Default value}
+   */
+  loadChildren?: (nodeDatum: TreeNodeDatum) => Promise<RawNodeDatum[]>;
+
+  /**
+   * Called when the promise returned by {@link TreeProps.loadChildren | loadChildren} rejects
+   * or its children cannot be merged into the tree, with the error, the node whose children failed to load, and a `retry` function
+   * which loads the children again. The failed node is flagged via `nodeDatum.__rd3t.loadError`,
+   * receives the `rd3t-node--error` className and can also be retried by expanding it again.
+   *
+   * {@link Tree.defaultProps.onLoadError | Default value}
+   */
+  onLoadError?: (error: any, nodeDatum: TreeNodeDatum, retry: () => Promise<void>) => any;
+
   /**
    * Determines whether the tree's nodes can collapse/expand.
    *
@@ -166,6 +471,35 @@ export interface TreeProps {
    */
   collapsible?: boolean;
 
+  /**
+   * The `id`s of all nodes that should be rendered in a collapsed state.
+   *
+   * Passing `collapsedIds` puts the tree's collapse state under the parent's control:
+   * expanding/collapsing a node no longer updates the tree by itself, but calls
+   * {@link TreeProps.onCollapsedChange | onCollapsedChange} with the next set of collapsed ids,
+   * which should then be passed back via `collapsedIds`. `initialDepth` is ignored in this mode.
+   *
+   * With the default {@link TreeProps.getNodeId | getNodeId}, ids are positional, i.e. an id in
+   * `collapsedIds` refers to whichever node is at that position after `data` changes.
+   *
+   * If `collapsedIds` is not defined, collapse state is managed internally. Whenever `data`
+   * changes, it is carried over to nodes with matching ids if a custom
+   * {@link TreeProps.getNodeId | getNodeId} is provided. Otherwise, `data` is treated as a new
+   * dataset, i.e. collapse state is reset according to `initialDepth`.
+   *
+   * {@link Tree.defaultProps.collapsedIds | Default value}
+   */
+  collapsedIds?: string[];
+
+  /**
+   * Called whenever nodes are expanded/collapsed, with the `id`s of all nodes which are
+   * collapsed as a result, as well as the node that was toggled (or `null` if multiple nodes
+   * were affected at once, e.g. via `expandAll`).
+   *
+   * {@link Tree.defaultProps.onCollapsedChange | Default value}
+   */
+  onCollapsedChange?: (collapsedIds: string[], targetNode: TreeNodeDatum | null) => any;
+
   /**
    * Sets the maximum node depth to which the tree is expanded on its initial render.
    *
@@ -209,16 +543,72 @@ export interface TreeProps {
     y: number;
   };
 
+  /**
+   * Returns the space (in px) reserved for each individual node, overriding `nodeSize`.
+   * Allows nodes of different sizes (e.g. wide cards next to small circles) to be laid out
+   * without overlapping or wasting space:
+   *
+   * ```js
+   * <Tree data={data} getNodeSize={nodeDatum => (nodeDatum.children ? { x: 300, y: 120 } : { x: 80, y: 80 })} />
+   * ```
+   *
+   * Along the tree's breadth, neighboring nodes are placed their mean size (scaled by
+   * {@link TreeProps.separation | separation}) apart. Along its depth, each level is as deep
+   * as the deepest of its nodes, unless {@link TreeProps.depthFactor | depthFactor} or
+   * {@link TreeProps.getDepthOffset | getDepthOffset} is set.
+   *
+   * {@link Tree.defaultProps.getNodeSize | Default value}
+   */
+  getNodeSize?: GetNodeSizeFunction;
+
   /**
    * Sets separation between neighboring nodes, differentiating between siblings (same parent node)
-   * and non-siblings.
+   * and non-siblings. Separations are multiples of the nodes' breadth (see `nodeSize`).
+   *
+   * Alternatively, accepts a `SeparationFunction` returning the separation for any two
+   * neighboring nodes `a` & `b`, e.g. to add extra space next to collapsed nodes:
+   *
+   * ```js
+   * <Tree
+   *   data={data}
+   *   separation={(a, b) =>
+   *     (a.parent === b.parent ? 1 : 2) + (a.data.__rd3t.collapsed || b.data.__rd3t.collapsed ? 0.5 : 0)
+   *   }
+   * />
+   * ```
+   *
+   * In a forest (i.e. if `data` contains multiple roots), `a` & `b` may belong to different trees,
+   * in which case the roots of those trees have no (or a hidden virtual) parent.
    *
    * {@link Tree.defaultProps.separation | Default value}
    */
-  separation?: {
-    siblings?: number;
-    nonSiblings?: number;
-  };
+  separation?:
+    | {
+        siblings?: number;
+        nonSiblings?: number;
+      }
+    | SeparationFunction;
+
+  /**
+   * If `data` contains multiple root nodes, each root's tree is rendered next to the
+   * previous one along the breadth axis (i.e. stacked vertically for `horizontal` trees and
+   * side by side for `vertical` trees).
+   *
+   * `forestGap` adds extra space (in px) between neighboring trees, on top of the
+   * `separation.nonSiblings` spacing.
+   *
+   * {@link Tree.defaultProps.forestGap | Default value}
+   */
+  forestGap?: number;
+
+  /**
+   * Lays out multiple root nodes as children of a hidden virtual root instead of placing
+   * their trees' bounding boxes next to each other. This packs the trees more tightly and
+   * centers them around the origin, with all roots aligned at depth `0`.
+   *
+   * {@link Tree.defaultProps.forestVirtualRoot | Default value}
+   */
+  forestVirtualRoot?: boolean;
 
   /**
    * If a node is currently being expanded, all other nodes at the same depth will be collapsed.
@@ -259,20 +649,118 @@ export interface TreeProps {
    * Enables/disables legacy transitions using `react-transition-group`.
    *
    * **Note:** This flag is considered legacy and **usage is discouraged for large trees**,
-   * as responsiveness may suffer.
+   * as responsiveness may suffer. Ignored if `enableAnimations` is `true`.
    *
-   * `enableLegacyTransitions` will be deprecated once a suitable
-   * replacement for transitions has been found.
+   * @deprecated Use `enableAnimations` instead.
    *
    * {@link Tree.defaultProps.enableLegacyTransitions | Default value}
    */
   enableLegacyTransitions?: boolean;
 
   /**
-   * Sets the animation duration (in milliseconds) of each expansion/collapse of a tree node.
-   * Requires `enableLegacyTransition` to be `true`.
+   * Animates nodes & links from their previous to their next position whenever the tree's
+   * layout changes, e.g. when a node is expanded/collapsed or `orientation` changes.
+   *
+   * Nodes which are added to the tree fade in from the position of their parent, and nodes which
+   * are removed fade out towards it. Nodes may be toggled again while an animation is running:
+   * the next animation then starts from the currently displayed positions.
+   *
+   * Only applies to the `svg` renderer.
+   *
+   * {@link Tree.defaultProps.enableAnimations | Default value}
+   */
+  enableAnimations?: boolean;
+
+  /**
+   * The easing curve of the animations enabled via `enableAnimations`: one of the predefined
+   * cubic curves `linear`, `ease-in`, `ease-out` & `ease-in-out`, or a custom
+   * `AnimationEasingFunction`.
+   *
+   * {@link Tree.defaultProps.animationEasing | Default value}
+   */
+  animationEasing?: AnimationEasingOption | AnimationEasingFunction;
+
+  /**
+   * Sets the duration (in milliseconds) of the animations enabled via `enableAnimations`
+   * (or legacy transitions), and of animated pans/zooms.
    *
    * {@link Tree.defaultProps.transitionDuration | Default value}
    */
   transitionDuration?: number;
+
+  /**
+   * Only renders the nodes & links which intersect the visible part of the SVG canvas
+   * (plus `viewportCullingMargin`), which keeps panning & zooming responsive for trees with
+   * many thousands of visible nodes. The rendered set is updated as the tree is panned/zoomed.
+   *
+   * Nodes are rendered once the size of the SVG canvas is known after mounting.
+   *
+   * {@link Tree.defaultProps.viewportCulling | Default value}
+   */
+  viewportCulling?: boolean;
+
+  /**
+   * The distance (in screen pixels) beyond the edges of the SVG canvas up to which nodes & links
+   * are still rendered if `viewportCulling` is enabled. Larger margins re-render less often
+   * while panning, at the cost of rendering more off-screen elements.
+   *
+   * {@link Tree.defaultProps.viewportCullingMargin | Default value}
+   */
+  viewportCullingMargin?: number;
+
+  /**
+   * Determines how nodes & links are rendered.
+   *
+   * `svg` - Renders an SVG element for every node & link, allowing them to be styled via CSS
+   * and customised via `renderCustomNodeElement`.
+   *
+   * `canvas` - Draws the default node element and all links onto a single `<canvas>`, which keeps
+   * trees with many thousands of nodes responsive. Links are drawn with the same `pathFunc`,
+   * and node/link event callbacks receive the same payloads as with `svg`. Nodes & links are
+   * drawn in the default styles, ignoring `renderCustomNodeElement`, `pathClassFunc`, the
+   * node class name props and any CSS overrides.
+   *
+   * {@link Tree.defaultProps.renderer | Default value}
+   */
+  renderer?: Renderer;
+
+  /**
+   * Computes the tree's layout inside a Web Worker created by
+   * {@link TreeProps.createLayoutWorker | createLayoutWorker}, keeping the UI responsive while
+   * large trees are laid out. The previous layout stays on screen until the new one arrives.
+   *
+   * The layout is computed synchronously instead if no worker can be created (e.g. under jsdom),
+   * if `data` cannot be sent to the worker, on the initial render of a dataset with
+   * `initialDepth`, and if any of `getNodeSize`, `getDepthOffset`, `separation`, `sortChildren`
+   * or `getSide` is a function, since functions cannot be passed to a worker.
+   *
+   * {@link Tree.defaultProps.layoutInWorker | Default value}
+   */
+  layoutInWorker?: boolean;
+
+  /**
+   * Creates the Web Worker used by `layoutInWorker`, which has to run the `Tree/layoutWorker`
+   * module shipped with `react-d3-tree`. With bundlers supporting `new URL(..., import.meta.url)`:
+   *
+   * ```js
+   * <Tree
+   *   layoutInWorker
+   *   createLayoutWorker={() =>
+   *     new Worker(new URL('react-d3-tree/lib/Tree/layoutWorker.js', import.meta.url))
+   *   }
+   * />
+   * ```
+   *
+   * {@link Tree.defaultProps.createLayoutWorker | Default value}
+   */
+  createLayoutWorker?: () => Worker;
+
+  /**
+   * Called after each new layout of the tree has been computed, with the time it took
+   * (in milliseconds, including the round trip to the worker if `layoutInWorker` is used),
+   * the number of laid out nodes, and whether it was computed inside a worker.
+   *
+   * {@link Tree.defaultProps.onLayoutComplete | Default value}
+   */
+  onLayoutComplete?: (info: { duration: number; nodeCount: number; inWorker: boolean }) => any;
 }
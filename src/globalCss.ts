@@ -12,6 +12,19 @@ export default `
   height: 100%;
 }
 
+.rd3t-tree-container--canvas {
+  position: relative;
+}
+
+.rd3t-canvas {
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  pointer-events: none;
+}
+
 .rd3t-grabbable {
   cursor: move; /* fallback if grab cursor is unsupported */
   cursor: grab;
@@ -39,6 +52,14 @@ export default `
   stroke-width: 2;
 }
 
+.rd3t-node--loading > circle {
+  stroke-dasharray: 4;
+}
+
+.rd3t-node--error > circle {
+  stroke: #c00;
+}
+
 .rd3t-label__title {
   stroke: #000;
   stroke-width: 1;
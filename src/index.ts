@@ -1,3 +1,5 @@
 import Tree from './Tree';
 
+export { fromFlatList, FlatListError } from './utils/fromFlatList';
+export { sortBy } from './utils/sortBy';
 export default Tree;
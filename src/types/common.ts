@@ -1,7 +1,16 @@
 import { SyntheticEvent } from 'react';
 import { HierarchyPointNode } from 'd3-hierarchy';
 
-export type Orientation = 'horizontal' | 'vertical';
+export type Orientation =
+  | 'horizontal'
+  | 'horizontal-reverse'
+  | 'vertical'
+  | 'vertical-reverse'
+  | 'radial';
+
+export type Layout = 'tidy' | 'cluster' | 'mindmap' | 'indented';
+
+export type Renderer = 'svg' | 'canvas';
 
 export interface Point {
   x: number;
@@ -12,6 +21,11 @@ export interface RawNodeDatum {
   name: string;
   attributes?: Record<string, string | number | boolean>;
   children?: RawNodeDatum[];
+  /**
+   * Flags the node as having children which have not been provided yet.
+   * They are loaded via `TreeProps.loadChildren` once the node is expanded.
+   */
+  hasChildren?: boolean;
 }
 
 export interface TreeNodeDatum extends RawNodeDatum {
@@ -20,9 +34,79 @@ export interface TreeNodeDatum extends RawNodeDatum {
     id: string;
     depth: number;
     collapsed: boolean;
+    /**
+     * Set while the node's children are being loaded via `TreeProps.loadChildren`.
+     */
+    loading?: boolean;
+    /**
+     * The error with which loading the node's children via `TreeProps.loadChildren` last failed.
+     */
+    loadError?: any;
   };
 }
 
+/**
+ * Derives the `id` of a node from its raw datum and its `path`, i.e. the indices leading from
+ * the root of `data` to the node (e.g. `[0, 1, 0]` for the first child of the root's second child).
+ *
+ * The returned ids must be unique within the tree.
+ */
+export type GetNodeIdFunction = (datum: RawNodeDatum, path: number[]) => string | number;
+
+/**
+ * Returns the children of a node in `data`. Allows `data` of arbitrary shape to be rendered,
+ * e.g. `datum => datum.items` for nodes shaped as `{ title, items: [...] }`.
+ *
+ * The returned children are exposed via the `children` key of each `TreeNodeDatum`.
+ */
+export type GetChildrenFunction = (datum: any) => any[] | null | undefined;
+
+/**
+ * Returns the primary label of a node, e.g. `datum => datum.title`.
+ */
+export type GetLabelFunction = (datum: any) => string;
+
+/**
+ * Returns the key-value pairs rendered as secondary labels of a node.
+ */
+export type GetAttributesFunction = (datum: any) => RawNodeDatum['attributes'] | undefined;
+
+/**
+ * Returns the space (in px) reserved for a node, e.g. the dimensions of its custom node element.
+ */
+export type GetNodeSizeFunction = (nodeDatum: TreeNodeDatum) => { x: number; y: number };
+
+/**
+ * Returns the offset (in px) of a node from the root along the tree's depth, given the level
+ * the node is placed at.
+ */
+export type GetDepthOffsetFunction = (
+  depth: number,
+  node: HierarchyPointNode<TreeNodeDatum>
+) => number;
+
+/**
+ * Returns the separation between two neighboring nodes `a` & `b` at the same depth, in multiples
+ * of their breadth (see `TreeProps.separation`).
+ */
+export type SeparationFunction = (
+  a: HierarchyPointNode<TreeNodeDatum>,
+  b: HierarchyPointNode<TreeNodeDatum>
+) => number;
+
+/**
+ * Compares two sibling nodes to determine their order, like the `compareFunction`
+ * of `Array.prototype.sort`.
+ */
+export type SortChildrenFunction = (a: TreeNodeDatum, b: TreeNodeDatum) => number;
+
+export type MindmapSide = 'left' | 'right';
+
+/**
+ * Returns the side of the root on which a first-level node of a `mindmap` is placed.
+ */
+export type GetSideFunction = (nodeDatum: TreeNodeDatum) => MindmapSide;
+
 export interface TreeLinkDatum {
   source: HierarchyPointNode<TreeNodeDatum>;
   target: HierarchyPointNode<TreeNodeDatum>;
@@ -32,6 +116,13 @@ export type PathFunctionOption = 'diagonal' | 'elbow' | 'straight' | 'step';
 export type PathFunction = (link: TreeLinkDatum, orientation: Orientation) => string;
 export type PathClassFunction = PathFunction;
 
+export type AnimationEasingOption = 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out';
+/**
+ * Maps the elapsed fraction `t` (from `0` to `1`) of an animation's duration to the
+ * fraction of the distance covered at that time.
+ */
+export type AnimationEasingFunction = (t: number) => number;
+
 export type SyntheticEventHandler = (evt: SyntheticEvent) => void;
 
 /**
@@ -0,0 +1,176 @@
+import { stratify, HierarchyNode } from 'd3-hierarchy';
+import { RawNodeDatum } from '../types/common';
+
+type FlatListId = string | number | null | undefined;
+
+/**
+ * Options accepted by `fromFlatList`.
+ */
+export interface FlatListOptions<Row> {
+  /**
+   * Returns the unique id of a row.
+   *
+   * Defaults to `row => row.id`.
+   */
+  idAccessor?: (row: Row) => FlatListId;
+  /**
+   * Returns the id of a row's parent. Rows for which `null`, `undefined` or an empty string
+   * is returned are treated as root nodes.
+   *
+   * Defaults to `row => row.parentId`.
+   */
+  parentIdAccessor?: (row: Row) => FlatListId;
+  /**
+   * Allows the flat list to contain more than one root row, in which case each root is
+   * returned as a separate entry of the resulting `data` array.
+   *
+   * Defaults to `false`.
+   */
+  allowMultipleRoots?: boolean;
+}
+
+/**
+ * A single problem found while building a hierarchy from a flat list.
+ *
+ * - `duplicate-id` - `ids` were assigned to more than one row.
+ * - `orphan` - the rows with `ids` reference a parent id which does not exist.
+ * - `cycle` - the rows with `ids` form a circular parent/child relationship.
+ * - `multiple-roots` - the rows with `ids` have no parent, but only one root is allowed.
+ * - `no-root` - no row without a parent exists.
+ */
+export interface FlatListIssue {
+  type: 'duplicate-id' | 'orphan' | 'cycle' | 'multiple-roots' | 'no-root';
+  ids: string[];
+}
+
+/**
+ * Thrown by `fromFlatList` if the flat list does not describe a valid hierarchy.
+ * All problems that were found are listed in `issues`.
+ */
+export class FlatListError extends Error {
+  issues: FlatListIssue[];
+
+  constructor(issues: FlatListIssue[]) {
+    super(`Invalid flat list: ${issues.map(issue => issue.type).join(', ')}`);
+    // Restore the prototype chain, which is lost when extending built-ins while targeting ES5.
+    Object.setPrototypeOf(this, FlatListError.prototype);
+    this.name = 'FlatListError';
+    this.issues = issues;
+  }
+}
+
+const VIRTUAL_ROOT_ID = '__rd3t-virtual-root__';
+
+const defaultIdAccessor = (row: any): FlatListId => row.id;
+const defaultParentIdAccessor = (row: any): FlatListId => row.parentId;
+
+const toKey = (id: FlatListId) => (id === null || id === undefined || id === '' ? null : `${id}`);
+
+/**
+ * Collects all problems in `rows` which prevent a hierarchy from being built.
+ */
+function findIssues(ids: string[], parentIds: string[], allowMultipleRoots: boolean) {
+  const issues: FlatListIssue[] = [];
+  const indexById = new Map<string, number>();
+  const duplicateIds = new Set<string>();
+  ids.forEach((id, i) => (indexById.has(id) ? duplicateIds.add(id) : indexById.set(id, i)));
+  if (duplicateIds.size > 0) {
+    issues.push({ type: 'duplicate-id', ids: Array.from(duplicateIds) });
+  }
+
+  const orphanIds = ids.filter((id, i) => parentIds[i] !== null && !indexById.has(parentIds[i]));
+  if (orphanIds.length > 0) {
+    issues.push({ type: 'orphan', ids: orphanIds });
+  }
+
+  // Follow each row's chain of parents: rows which are revisited before reaching a root
+  // (or an orphan) are part of a cycle.
+  const VISITING = 1;
+  const DONE = 2;
+  const visitState = new Map<string, number>();
+  const cycleIds: string[] = [];
+  ids.forEach(startId => {
+    const chain: string[] = [];
+    let id = startId;
+    while (id !== null && indexById.has(id) && !visitState.has(id)) {
+      visitState.set(id, VISITING);
+      chain.push(id);
+      id = parentIds[indexById.get(id)];
+    }
+    if (id !== null && visitState.get(id) === VISITING) {
+      cycleIds.push(...chain.slice(chain.indexOf(id)));
+    }
+    chain.forEach(chainId => visitState.set(chainId, DONE));
+  });
+  if (cycleIds.length > 0) {
+    issues.push({ type: 'cycle', ids: cycleIds });
+  }
+
+  const rootIds = ids.filter((id, i) => parentIds[i] === null);
+  if (rootIds.length === 0) {
+    issues.push({ type: 'no-root', ids: [] });
+  } else if (rootIds.length > 1 && !allowMultipleRoots) {
+    issues.push({ type: 'multiple-roots', ids: rootIds });
+  }
+
+  return issues;
+}
+
+/**
+ * Builds `Tree`-compatible `data` from a flat list of rows, in which each row references
+ * its parent by id (e.g. rows of a SQL table with `id` & `parentId` columns).
+ *
+ * Every row is converted into a `RawNodeDatum` which retains all of the row's fields.
+ * Rows without a `name` field are named after their id.
+ *
+ * Throws a `FlatListError` listing all orphans, cycles, duplicate ids and (unless
+ * `allowMultipleRoots` is set) multiple roots found in `rows`.
+ *
+ * ```js
+ * const data = fromFlatList([
+ *   { id: 1, parentId: null, name: 'CEO' },
+ *   { id: 2, parentId: 1, name: 'Manager' },
+ * ]);
+ * ```
+ */
+export function fromFlatList<Row extends object>(
+  rows: Row[],
+  options: FlatListOptions<Row> = {}
+): RawNodeDatum[] {
+  const {
+    idAccessor = defaultIdAccessor,
+    parentIdAccessor = defaultParentIdAccessor,
+    allowMultipleRoots = false,
+  } = options;
+  const ids = rows.map(row => toKey(idAccessor(row)));
+  const parentIds = rows.map(row => toKey(parentIdAccessor(row)));
+
+  const issues = findIssues(ids, parentIds, allowMultipleRoots);
+  if (issues.length > 0) {
+    throw new FlatListError(issues);
+  }
+
+  // Attach all root rows to a virtual root, so that `stratify` can handle multiple roots.
+  const virtualRoot = {} as Row;
+  const indexByRow = new Map<Row, number>(rows.map((row, i) => [row, i] as [Row, number]));
+  const root = stratify<Row>()
+    .id(row => (row === virtualRoot ? VIRTUAL_ROOT_ID : ids[indexByRow.get(row)]))
+    .parentId(row => {
+      if (row === virtualRoot) {
+        return null;
+      }
+      const parentId = parentIds[indexByRow.get(row)];
+      return parentId === null ? VIRTUAL_ROOT_ID : parentId;
+    })([virtualRoot, ...rows]);
+
+  const toNodeDatum = (node: HierarchyNode<Row>): RawNodeDatum => {
+    const row = node.data as any;
+    const nodeDatum: RawNodeDatum = { ...row, name: row.name !== undefined ? row.name : node.id };
+    if (node.children) {
+      nodeDatum.children = node.children.map(toNodeDatum);
+    }
+    return nodeDatum;
+  };
+
+  return root.children.map(toNodeDatum);
+}
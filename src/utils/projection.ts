@@ -0,0 +1,30 @@
+import { Orientation, Point } from '../types/common';
+
+/**
+ * Whether the tree's depth runs along the x-axis of the SVG canvas.
+ */
+export const isHorizontal = (orientation: Orientation) =>
+  orientation === 'horizontal' || orientation === 'horizontal-reverse';
+
+/**
+ * Whether the tree's depth runs towards the top-left of the SVG canvas.
+ */
+export const isReversed = (orientation: Orientation) =>
+  orientation === 'horizontal-reverse' || orientation === 'vertical-reverse';
+
+/**
+ * Projects a laid out point - `x` along the tree's breadth, `y` along its depth - onto the
+ * SVG canvas according to `orientation`, returning its `[x, y]` canvas coordinates.
+ *
+ * The depth of reversed trees is laid out along the negative `y` already, so they are
+ * projected like their non-reversed counterparts.
+ *
+ * For `radial` trees, `x` is the point's angle in radians (clockwise, starting at 12 o'clock)
+ * and `y` its distance from the center.
+ */
+export function projectPoint({ x, y }: Point, orientation: Orientation): [number, number] {
+  if (orientation === 'radial') {
+    return [y * Math.sin(x), -y * Math.cos(x)];
+  }
+  return isHorizontal(orientation) ? [y, x] : [x, y];
+}
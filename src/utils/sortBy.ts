@@ -0,0 +1,56 @@
+import { SortChildrenFunction, TreeNodeDatum } from '../types/common';
+
+type SortOrder = 'asc' | 'desc';
+type SortValue = string | number | boolean | null | undefined;
+
+/**
+ * Compares numbers & booleans numerically and everything else as strings in natural order
+ * (i.e. `'node 2'` before `'node 10'`). Missing values are always sorted last.
+ */
+const compareValues = (a: SortValue, b: SortValue, order: SortOrder) => {
+  const isMissingA = a === null || a === undefined;
+  const isMissingB = b === null || b === undefined;
+  if (isMissingA || isMissingB) {
+    return Number(isMissingA) - Number(isMissingB);
+  }
+  const result =
+    typeof a === 'string' || typeof b === 'string'
+      ? String(a).localeCompare(String(b), undefined, { numeric: true })
+      : Number(a) - Number(b);
+  return order === 'desc' ? -result : result;
+};
+
+const countDescendants = (nodeDatum: TreeNodeDatum): number =>
+  (nodeDatum.children || []).reduce((count, child) => count + 1 + countDescendants(child), 0);
+
+/**
+ * Preset comparators for `TreeProps.sortChildren`.
+ */
+export const sortBy = {
+  /**
+   * Sorts siblings by name. Nodes of other shapes can be sorted by passing their
+   * `TreeProps.getLabel` accessor as `getLabel`.
+   */
+  name(
+    order: SortOrder = 'asc',
+    getLabel: (nodeDatum: TreeNodeDatum) => SortValue = nodeDatum => nodeDatum.name
+  ): SortChildrenFunction {
+    return (a, b) => compareValues(getLabel(a), getLabel(b), order);
+  },
+
+  /**
+   * Sorts siblings by their total number of descendants, including collapsed ones.
+   */
+  descendantCount(order: SortOrder = 'asc'): SortChildrenFunction {
+    return (a, b) => compareValues(countDescendants(a), countDescendants(b), order);
+  },
+
+  /**
+   * Sorts siblings by the value of their attribute `key`.
+   */
+  attribute(key: string, order: SortOrder = 'asc'): SortChildrenFunction {
+    const getValue = (nodeDatum: TreeNodeDatum) =>
+      nodeDatum.attributes ? nodeDatum.attributes[key] : undefined;
+    return (a, b) => compareValues(getValue(a), getValue(b), order);
+  },
+};
@@ -0,0 +1,154 @@
+import { HierarchyPointNode } from 'd3-hierarchy';
+import { Orientation, TreeLinkDatum, TreeNodeDatum } from '../types/common';
+import { projectPoint } from './projection';
+
+/**
+ * An axis-aligned rectangle on the SVG canvas.
+ */
+export interface Bounds {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+/**
+ * Whether the rectangles `a` and `b` overlap (touching edges count as overlapping).
+ */
+export const intersects = (a: Bounds, b: Bounds) =>
+  a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+/**
+ * Whether rectangle `outer` fully contains rectangle `inner`.
+ */
+export const contains = (outer: Bounds, inner: Bounds) =>
+  outer.minX <= inner.minX &&
+  outer.maxX >= inner.maxX &&
+  outer.minY <= inner.minY &&
+  outer.maxY >= inner.maxY;
+
+// Items covering more cells than this are kept in a separate list and tested one by one,
+// so that e.g. links spanning the entire breadth of a wide tree do not flood the grid.
+const MAX_CELLS_PER_ITEM = 64;
+
+type Entry<T> = { item: T; bounds: Bounds; order: number };
+
+/**
+ * A uniform grid which indexes items by their bounding box, so that all items overlapping
+ * a given rectangle can be looked up without testing every single item.
+ */
+export class SpatialIndex<T> {
+  private cellSize: number;
+  private size = 0;
+  private cells = new Map<string, Entry<T>[]>();
+  private largeItems: Entry<T>[] = [];
+
+  constructor(cellSize: number) {
+    this.cellSize = cellSize;
+  }
+
+  /**
+   * Adds `item`, which occupies the rectangle `bounds`, to the index.
+   */
+  insert(item: T, bounds: Bounds) {
+    const entry = { item, bounds, order: this.size++ };
+    const [minCol, minRow, maxCol, maxRow] = this.getCellRange(bounds);
+    if ((maxCol - minCol + 1) * (maxRow - minRow + 1) > MAX_CELLS_PER_ITEM) {
+      this.largeItems.push(entry);
+      return;
+    }
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const key = `${col},${row}`;
+        const cell = this.cells.get(key);
+        if (cell) {
+          cell.push(entry);
+        } else {
+          this.cells.set(key, [entry]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns all items overlapping the rectangle `bounds`, in insertion order.
+   */
+  search(bounds: Bounds): T[] {
+    const found = new Set<Entry<T>>();
+    const collect = (entry: Entry<T>) => {
+      if (!found.has(entry) && intersects(entry.bounds, bounds)) {
+        found.add(entry);
+      }
+    };
+    const [minCol, minRow, maxCol, maxRow] = this.getCellRange(bounds);
+    if ((maxCol - minCol + 1) * (maxRow - minRow + 1) > this.cells.size) {
+      // Cheaper to visit every occupied cell than every cell covered by `bounds`.
+      this.cells.forEach(cell => cell.forEach(collect));
+    } else {
+      for (let col = minCol; col <= maxCol; col++) {
+        for (let row = minRow; row <= maxRow; row++) {
+          const cell = this.cells.get(`${col},${row}`);
+          if (cell) {
+            cell.forEach(collect);
+          }
+        }
+      }
+    }
+    this.largeItems.forEach(collect);
+    return Array.from(found)
+      .sort((a, b) => a.order - b.order)
+      .map(entry => entry.item);
+  }
+
+  private getCellRange({ minX, minY, maxX, maxY }: Bounds) {
+    const { cellSize } = this;
+    return [
+      Math.floor(minX / cellSize),
+      Math.floor(minY / cellSize),
+      Math.floor(maxX / cellSize),
+      Math.floor(maxY / cellSize),
+    ];
+  }
+}
+
+/**
+ * Indexes `nodes` (by `getNodeBounds`) and `links` (by the rectangle spanned by their ends),
+ * so that only the parts of a laid out tree inside a given area need to be rendered or
+ * hit-tested.
+ *
+ * The arcs & curves of `radial` links can bulge well beyond their ends, so those are indexed by
+ * the disc around the center which reaches their outermost end instead.
+ */
+export function indexLayout({
+  nodes,
+  links,
+  orientation,
+  getNodeBounds,
+  cellSize,
+}: {
+  nodes: HierarchyPointNode<TreeNodeDatum>[];
+  links: TreeLinkDatum[];
+  orientation: Orientation;
+  getNodeBounds: (node: HierarchyPointNode<TreeNodeDatum>) => Bounds;
+  cellSize: number;
+}) {
+  const nodeIndex = new SpatialIndex<HierarchyPointNode<TreeNodeDatum>>(cellSize);
+  nodes.forEach(node => nodeIndex.insert(node, getNodeBounds(node)));
+  const linkIndex = new SpatialIndex<TreeLinkDatum>(cellSize);
+  links.forEach(link => {
+    if (orientation === 'radial') {
+      const radius = Math.max(link.source.y, link.target.y);
+      linkIndex.insert(link, { minX: -radius, minY: -radius, maxX: radius, maxY: radius });
+      return;
+    }
+    const [sourceX, sourceY] = projectPoint(link.source, orientation);
+    const [targetX, targetY] = projectPoint(link.target, orientation);
+    linkIndex.insert(link, {
+      minX: Math.min(sourceX, targetX),
+      minY: Math.min(sourceY, targetY),
+      maxX: Math.max(sourceX, targetX),
+      maxY: Math.max(sourceY, targetY),
+    });
+  });
+  return { nodeIndex, linkIndex };
+}
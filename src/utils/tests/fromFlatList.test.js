@@ -0,0 +1,100 @@
+import { fromFlatList, FlatListError } from '../fromFlatList.ts';
+
+describe('fromFlatList', () => {
+  const rows = [
+    { id: 1, parentId: null, name: 'CEO' },
+    { id: 2, parentId: 1, name: 'Manager' },
+    { id: 3, parentId: 2 },
+    { id: 4, parentId: 1, name: 'Assistant' },
+  ];
+
+  const getIssues = (flatList, options) => {
+    try {
+      fromFlatList(flatList, options);
+    } catch (err) {
+      expect(err).toBeInstanceOf(FlatListError);
+      return err.issues;
+    }
+    throw new Error('Expected `fromFlatList` to throw a `FlatListError`.');
+  };
+
+  it('builds a nested hierarchy of `RawNodeDatum` objects', () => {
+    expect(fromFlatList(rows)).toEqual([
+      {
+        id: 1,
+        parentId: null,
+        name: 'CEO',
+        children: [
+          {
+            id: 2,
+            parentId: 1,
+            name: 'Manager',
+            children: [{ id: 3, parentId: 2, name: '3' }],
+          },
+          { id: 4, parentId: 1, name: 'Assistant' },
+        ],
+      },
+    ]);
+  });
+
+  it('does not mutate the passed rows', () => {
+    const flatList = rows.map(row => ({ ...row }));
+    fromFlatList(flatList);
+    expect(flatList).toEqual(rows);
+  });
+
+  it('uses `idAccessor` & `parentIdAccessor` if specified', () => {
+    const data = fromFlatList(
+      [
+        { key: 'a', parent: '', name: 'A' },
+        { key: 'b', parent: 'a', name: 'B' },
+      ],
+      { idAccessor: row => row.key, parentIdAccessor: row => row.parent }
+    );
+    expect(data[0].name).toBe('A');
+    expect(data[0].children.map(child => child.name)).toEqual(['B']);
+  });
+
+  it('returns one entry per root if `allowMultipleRoots` is set', () => {
+    const data = fromFlatList([...rows, { id: 5, parentId: null, name: 'Board' }], {
+      allowMultipleRoots: true,
+    });
+    expect(data.map(root => root.name)).toEqual(['CEO', 'Board']);
+  });
+
+  it('reports multiple roots', () => {
+    expect(getIssues([...rows, { id: 5, parentId: null }])).toEqual([
+      { type: 'multiple-roots', ids: ['1', '5'] },
+    ]);
+  });
+
+  it('reports orphans', () => {
+    expect(getIssues([...rows, { id: 5, parentId: 99 }, { id: 6, parentId: 5 }])).toEqual([
+      { type: 'orphan', ids: ['5'] },
+    ]);
+  });
+
+  it('reports cycles', () => {
+    expect(
+      getIssues([...rows, { id: 5, parentId: 7 }, { id: 6, parentId: 5 }, { id: 7, parentId: 6 }])
+    ).toEqual([{ type: 'cycle', ids: ['5', '7', '6'] }]);
+  });
+
+  it('reports duplicate ids', () => {
+    expect(getIssues([...rows, { id: 4, parentId: 2 }])).toEqual([
+      { type: 'duplicate-id', ids: ['4'] },
+    ]);
+  });
+
+  it('reports a missing root', () => {
+    expect(
+      getIssues([
+        { id: 1, parentId: 2 },
+        { id: 2, parentId: 1 },
+      ])
+    ).toEqual([
+      { type: 'cycle', ids: ['1', '2'] },
+      { type: 'no-root', ids: [] },
+    ]);
+  });
+});
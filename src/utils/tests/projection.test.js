@@ -0,0 +1,45 @@
+import { isHorizontal, isReversed, projectPoint } from '../projection.ts';
+
+describe('projectPoint', () => {
+  const point = { x: 10, y: 20 };
+
+  it('swaps x & y for `horizontal` trees', () => {
+    expect(projectPoint(point, 'horizontal')).toEqual([20, 10]);
+  });
+
+  it('keeps x & y for `vertical` trees', () => {
+    expect(projectPoint(point, 'vertical')).toEqual([10, 20]);
+  });
+
+  it('projects reversed trees like their non-reversed counterparts', () => {
+    expect(projectPoint(point, 'horizontal-reverse')).toEqual([20, 10]);
+    expect(projectPoint(point, 'vertical-reverse')).toEqual([10, 20]);
+  });
+
+  it('treats x as angle & y as radius for `radial` trees, starting at 12 o`clock', () => {
+    const [x0, y0] = projectPoint({ x: 0, y: 100 }, 'radial');
+    expect(x0).toBeCloseTo(0);
+    expect(y0).toBeCloseTo(-100);
+    const [x1, y1] = projectPoint({ x: Math.PI / 2, y: 100 }, 'radial');
+    expect(x1).toBeCloseTo(100);
+    expect(y1).toBeCloseTo(0);
+  });
+});
+
+describe('isHorizontal', () => {
+  it('is true for orientations expanding along the x-axis', () => {
+    expect(
+      ['horizontal', 'horizontal-reverse', 'vertical', 'vertical-reverse', 'radial'].map(
+        isHorizontal
+      )
+    ).toEqual([true, true, false, false, false]);
+  });
+});
+
+describe('isReversed', () => {
+  it('is true for orientations expanding towards the top-left', () => {
+    expect(
+      ['horizontal', 'horizontal-reverse', 'vertical', 'vertical-reverse', 'radial'].map(isReversed)
+    ).toEqual([false, true, false, true, false]);
+  });
+});
@@ -0,0 +1,47 @@
+import { sortBy } from '../sortBy.ts';
+
+describe('sortBy', () => {
+  const nodes = [
+    { name: 'node 10', attributes: { salary: 300 }, children: [{ name: 'x' }] },
+    { name: 'node 2', children: [{ name: 'y', children: [{ name: 'z' }] }, { name: 'w' }] },
+    { name: 'Node 1', attributes: { salary: 100 } },
+  ];
+  const getNames = comparator => [...nodes].sort(comparator).map(node => node.name);
+
+  describe('name', () => {
+    it('sorts by name in natural order', () => {
+      expect(getNames(sortBy.name())).toEqual(['Node 1', 'node 2', 'node 10']);
+      expect(getNames(sortBy.name('desc'))).toEqual(['node 10', 'node 2', 'Node 1']);
+    });
+
+    it('sorts by the label returned by `getLabel`', () => {
+      expect(getNames(sortBy.name('asc', node => node.name.length))).toEqual([
+        'node 2',
+        'Node 1',
+        'node 10',
+      ]);
+    });
+  });
+
+  describe('descendantCount', () => {
+    it('sorts by the total number of descendants', () => {
+      expect(getNames(sortBy.descendantCount())).toEqual(['Node 1', 'node 10', 'node 2']);
+      expect(getNames(sortBy.descendantCount('desc'))).toEqual(['node 2', 'node 10', 'Node 1']);
+    });
+  });
+
+  describe('attribute', () => {
+    it('sorts by the value of an attribute, placing nodes without it last', () => {
+      expect(getNames(sortBy.attribute('salary'))).toEqual(['Node 1', 'node 10', 'node 2']);
+      expect(getNames(sortBy.attribute('salary', 'desc'))).toEqual(['node 10', 'Node 1', 'node 2']);
+    });
+
+    it('compares string attributes as strings', () => {
+      const withTeams = [
+        { name: 'a', attributes: { team: 'b' } },
+        { name: 'b', attributes: { team: 'a' } },
+      ];
+      expect(withTeams.sort(sortBy.attribute('team')).map(node => node.name)).toEqual(['b', 'a']);
+    });
+  });
+});
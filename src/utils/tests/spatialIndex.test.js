@@ -0,0 +1,86 @@
+import { SpatialIndex, contains, indexLayout, intersects } from '../spatialIndex.ts';
+
+const rect = (minX, minY, maxX, maxY) => ({ minX, minY, maxX, maxY });
+
+describe('SpatialIndex', () => {
+  it('returns only the items overlapping the searched area, in insertion order', () => {
+    const index = new SpatialIndex(100);
+    index.insert('c', rect(500, 500, 520, 520));
+    index.insert('a', rect(-10, -10, 10, 10));
+    index.insert('b', rect(90, 90, 210, 210));
+    expect(index.search(rect(0, 0, 100, 100))).toEqual(['a', 'b']);
+    expect(index.search(rect(150, 150, 600, 600))).toEqual(['c', 'b']);
+    expect(index.search(rect(1000, 1000, 1100, 1100))).toEqual([]);
+  });
+
+  it('returns items spanning multiple cells only once', () => {
+    const index = new SpatialIndex(10);
+    index.insert('wide', rect(0, 0, 55, 5));
+    expect(index.search(rect(0, 0, 100, 100))).toEqual(['wide']);
+  });
+
+  it('finds items covering a large number of cells', () => {
+    const index = new SpatialIndex(1);
+    index.insert('huge', rect(0, 0, 1000, 1000));
+    index.insert('tiny', rect(2000, 2000, 2001, 2001));
+    expect(index.search(rect(500, 500, 501, 501))).toEqual(['huge']);
+    expect(index.search(rect(1500, 1500, 2500, 2500))).toEqual(['tiny']);
+  });
+
+  it('handles searched areas much larger than the indexed items', () => {
+    const index = new SpatialIndex(10);
+    index.insert('a', rect(0, 0, 5, 5));
+    index.insert('b', rect(-500, -500, -495, -495));
+    expect(index.search(rect(-1e6, -1e6, 1e6, 1e6))).toEqual(['a', 'b']);
+  });
+});
+
+describe('intersects', () => {
+  it('is true for overlapping & touching rectangles', () => {
+    expect(intersects(rect(0, 0, 10, 10), rect(5, 5, 15, 15))).toBe(true);
+    expect(intersects(rect(0, 0, 10, 10), rect(10, 10, 20, 20))).toBe(true);
+  });
+
+  it('is false for disjoint rectangles', () => {
+    expect(intersects(rect(0, 0, 10, 10), rect(11, 0, 20, 10))).toBe(false);
+  });
+});
+
+describe('contains', () => {
+  it('is true only if the inner rectangle lies fully inside the outer one', () => {
+    expect(contains(rect(0, 0, 10, 10), rect(2, 2, 8, 8))).toBe(true);
+    expect(contains(rect(0, 0, 10, 10), rect(2, 2, 12, 8))).toBe(false);
+  });
+});
+
+describe('indexLayout', () => {
+  it('indexes nodes by their bounds & links by the rectangle spanned by their ends', () => {
+    const source = { x: 0, y: 0 };
+    const target = { x: 100, y: 200 };
+    const { nodeIndex, linkIndex } = indexLayout({
+      nodes: [source, target],
+      links: [{ source, target }],
+      orientation: 'horizontal',
+      getNodeBounds: ({ x, y }) => rect(y - 10, x - 10, y + 10, x + 10),
+      cellSize: 50,
+    });
+    expect(nodeIndex.search(rect(150, 50, 250, 150))).toEqual([target]);
+    expect(linkIndex.search(rect(150, 50, 250, 150))).toEqual([{ source, target }]);
+    expect(linkIndex.search(rect(-100, -100, -50, -50))).toEqual([]);
+  });
+
+  it('indexes radial links by the disc reaching their outermost end', () => {
+    // The arc between both ends passes through 12 o'clock at (0, -100), above either end.
+    const source = { x: -1, y: 100 };
+    const target = { x: 1, y: 100 };
+    const { linkIndex } = indexLayout({
+      nodes: [source, target],
+      links: [{ source, target }],
+      orientation: 'radial',
+      getNodeBounds: () => rect(0, 0, 0, 0),
+      cellSize: 50,
+    });
+    expect(linkIndex.search(rect(-5, -105, 5, -95))).toEqual([{ source, target }]);
+    expect(linkIndex.search(rect(110, 110, 150, 150))).toEqual([]);
+  });
+});